@@ -3,6 +3,16 @@ import { initTaskManagement, getTasks, getSelectedTaskId } from './tasks.js';
 import { initPomodoroTimer, setTasks, setSelectedTaskId } from './timer.js';
 import { initProgressTracking } from './progress.js';
 import { loadState } from './storage.js';
+import { initSettings } from './settings.js';
+import { initSound } from './sound.js';
+import { initSessionLog } from './sessions.js';
+import { initSync } from './sync.js';
+import { initTabIndicator } from './indicator.js';
+import { initProjects } from './projects.js';
+import { initTags } from './tags.js';
+import { initHistory } from './history.js';
+import { initViews } from './views.js';
+import { initReminders } from './reminders.js';
 
 /**
  * Initialize the application
@@ -12,13 +22,24 @@ function initApp() {
     const state = loadState();
     
     // Initialize all modules in proper order
+    initSync();
+    initSettings();
+    initSound();
+    initSessionLog();
+    initProjects();
+    initTags();
+    initHistory();
+    initViews();
     initTaskManagement();
-    initPomodoroTimer();
-    initProgressTracking();
+    initReminders();
     
-    // Connect modules
+    // Connect modules before the timer restores a session that may credit a task
     connectModules();
     
+    initTabIndicator();
+    initPomodoroTimer();
+    initProgressTracking();
+    
     // Set up event listeners for UI controls
     setupUIControls();
     
@@ -30,11 +51,13 @@ function initApp() {
  * Connect the different modules together
  */
 function connectModules() {
-    // Share tasks data with timer module
+    // Share tasks data with timer module, again whenever the array is replaced
     setTasks(getTasks());
+    document.addEventListener('tasksreplaced', () => setTasks(getTasks()));
     
-    // Share selected task ID with timer module
+    // Share selected task ID with timer module, and keep it in sync
     setSelectedTaskId(getSelectedTaskId());
+    document.addEventListener('taskselectionchange', e => setSelectedTaskId(e.detail.taskId));
 }
 
 /**
@@ -0,0 +1,69 @@
+/**
+ * Dates Module
+ * Works with due dates as local calendar days
+ *
+ * Due dates are stored as YYYY-MM-DD keys in the user's time zone. Keys compare correctly
+ * as strings. Never convert them with toISOString() or new Date('YYYY-MM-DD'): both use UTC,
+ * which is a day off for anyone east or west of UTC near midnight.
+ */
+
+/**
+ * Parse a YYYY-MM-DD date key into a local date
+ * @param {string} dateKey - The date key
+ * @returns {Date} The date at local midnight
+ */
+export function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a date as a YYYY-MM-DD key in local time
+ * @param {Date} date - The date
+ * @returns {string} The date key
+ */
+export function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Add days to a date, keeping local midnight across DST changes
+ * @param {Date} date - The date
+ * @param {number} days - The number of days to add
+ * @returns {Date} The new date
+ */
+export function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Get the key of today, or of a day relative to today
+ * @param {number} offset - Days from today (1 for tomorrow)
+ * @param {Date} now - The current time (defaults to now)
+ * @returns {string} The date key
+ */
+export function getDayKey(offset = 0, now = new Date()) {
+    return toDateKey(addDays(now, offset));
+}
+
+/**
+ * Get the first and last day of the current week, Sunday to Saturday
+ * @param {Date} now - The current time (defaults to now)
+ * @returns {Object} The date keys of the week's first (start) and last (end) day
+ */
+export function getWeekRange(now = new Date()) {
+    const start = addDays(now, -now.getDay());
+    return { start: toDateKey(start), end: toDateKey(addDays(start, 6)) };
+}
+
+/**
+ * Check whether a task is past its due date
+ * @param {Object} task - The task
+ * @param {Date} now - The current time (defaults to now)
+ * @returns {boolean} True if the task is open and was due before today
+ */
+export function isOverdue(task, now = new Date()) {
+    return !task.completed && Boolean(task.dueDate) && task.dueDate < getDayKey(0, now);
+}
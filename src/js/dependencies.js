@@ -0,0 +1,68 @@
+/**
+ * Dependencies Module
+ * Works out which tasks are blocked by others
+ *
+ * A task's `blockedBy` holds the IDs of the tasks that must be completed before it.
+ * A task is blocked while any of those tasks is open; links to deleted tasks are ignored.
+ */
+
+/**
+ * Get the open tasks that block a task
+ * @param {Object} task - The task
+ * @param {Array} allTasks - All tasks
+ * @returns {Array} The blocking tasks, in the order they were linked
+ */
+export function getOpenBlockers(task, allTasks) {
+    return (task.blockedBy || [])
+        .map(id => allTasks.find(t => t.id == id))
+        .filter(blocker => blocker && !blocker.completed);
+}
+
+/**
+ * Check whether a task is blocked
+ * @param {Object} task - The task
+ * @param {Array} allTasks - All tasks
+ * @returns {boolean} True if a task it depends on is still open
+ */
+export function isBlocked(task, allTasks) {
+    return getOpenBlockers(task, allTasks).length > 0;
+}
+
+/**
+ * Get the tasks that would no longer be blocked once a task is completed
+ * @param {Object} task - The task about to be completed
+ * @param {Array} allTasks - All tasks
+ * @returns {Array} The open tasks whose only open blocker is the task
+ */
+export function getTasksUnblockedBy(task, allTasks) {
+    return allTasks.filter(t => {
+        if (t.completed) return false;
+        const blockers = getOpenBlockers(t, allTasks);
+        return blockers.length === 1 && blockers[0] === task;
+    });
+}
+
+/**
+ * Check whether a task may be made to wait for another one
+ * @param {string} taskId - The ID of the task that would be blocked
+ * @param {string} blockerId - The ID of the task that would block it
+ * @param {Array} allTasks - All tasks
+ * @returns {boolean} True if the link would make a task wait for itself, directly or through other tasks
+ */
+export function wouldCreateCycle(taskId, blockerId, allTasks) {
+    // Follow the blocker's own prerequisites, looking for the task
+    const visited = new Set();
+    const pending = [String(blockerId)];
+    
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (id === String(taskId)) return true;
+        if (visited.has(id)) continue;
+        visited.add(id);
+        
+        const current = allTasks.find(t => t.id == id);
+        (current?.blockedBy || []).forEach(nextId => pending.push(String(nextId)));
+    }
+    
+    return false;
+}
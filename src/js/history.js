@@ -0,0 +1,127 @@
+/**
+ * History Module
+ * Keeps the undo and redo stacks and shows the undo toast
+ *
+ * A command is { label, undo, redo }: undo and redo apply the change and return false
+ * if it can't be applied right now (for example while strict mode locks the tasks).
+ */
+
+// Most commands kept for undo
+const MAX_HISTORY = 50;
+
+// How long the toast stays visible (ms)
+const TOAST_DURATION = 5000;
+
+// Commands that can be undone, most recent last
+let undoStack = [];
+
+// Commands that were undone and can be redone, most recent last
+let redoStack = [];
+
+// Timeout that hides the toast
+let toastTimeout = null;
+
+/**
+ * Initialize the history module
+ */
+export function initHistory() {
+    // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo
+    document.addEventListener('keydown', function(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditingText(e.target)) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    });
+    
+    // The toast button undoes or redoes the command it describes
+    document.querySelector('.undo-toast-btn').addEventListener('click', function() {
+        if (this.dataset.action === 'redo') {
+            redo();
+        } else {
+            undo();
+        }
+    });
+}
+
+/**
+ * Add a command that was just run to the history
+ * @param {Object} command - The command (label, undo, redo)
+ */
+export function recordCommand(command) {
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    
+    // A new change replaces whatever was undone
+    redoStack = [];
+    
+    showToast(command.label, 'undo');
+}
+
+/**
+ * Undo the most recent command
+ */
+export function undo() {
+    const command = undoStack.pop();
+    if (!command) return;
+    
+    if (command.undo() === false) {
+        undoStack.push(command);
+        return;
+    }
+    
+    redoStack.push(command);
+    showToast(`Undone: ${command.label}`, 'redo');
+}
+
+/**
+ * Redo the most recently undone command
+ */
+export function redo() {
+    const command = redoStack.pop();
+    if (!command) return;
+    
+    if (command.redo() === false) {
+        redoStack.push(command);
+        return;
+    }
+    
+    undoStack.push(command);
+    showToast(command.label, 'undo');
+}
+
+/**
+ * Show the toast with a button to undo or redo
+ * @param {string} message - The message
+ * @param {string} action - 'undo' or 'redo'
+ */
+function showToast(message, action) {
+    const toast = document.querySelector('.undo-toast');
+    const button = toast.querySelector('.undo-toast-btn');
+    
+    toast.querySelector('.undo-toast-text').textContent = message;
+    button.dataset.action = action;
+    button.textContent = action === 'redo' ? 'Redo' : 'Undo';
+    toast.style.display = 'flex';
+    
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => {
+        toast.style.display = 'none';
+    }, TOAST_DURATION);
+}
+
+/**
+ * Check whether keyboard focus is in a text field, which has its own undo
+ * @param {HTMLElement} element - The focused element
+ * @returns {boolean} True if the element edits text
+ */
+function isEditingText(element) {
+    return Boolean(element.closest && element.closest('input, textarea, select, [contenteditable="true"]'));
+}
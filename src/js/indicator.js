@@ -0,0 +1,143 @@
+/**
+ * Tab Indicator Module
+ * Shows the running timer in the document title and in a generated favicon,
+ * so it stays visible while the app tab is in the background
+ */
+
+// Size of the generated favicon in pixels
+const FAVICON_SIZE = 64;
+
+// Number of steps the favicon progress ring is drawn in (redrawn only when the step changes)
+const FAVICON_STEPS = 60;
+
+// Ring colors for each timer mode
+const MODE_COLORS = {
+    pomodoro: '#ff5c5c',
+    shortBreak: '#5fd86e',
+    longBreak: '#58c3ff',
+    stopwatch: '#4d8eff',
+};
+
+// Title and favicon links to restore when no session is running
+let originalTitle = '';
+let originalIconLinks = [];
+
+// The generated favicon link and what it was last drawn for
+let generatedIconLink = null;
+let lastIconKey = '';
+let isShowing = false;
+
+/**
+ * Initialize the tab indicator module
+ */
+export function initTabIndicator() {
+    originalTitle = document.title;
+    originalIconLinks = Array.from(document.querySelectorAll('link[rel~="icon"]'));
+}
+
+/**
+ * Show a session in the document title and favicon
+ * @param {Object} session - The session to show
+ * @param {string} session.timeString - The formatted time (e.g. "12:34")
+ * @param {string} session.label - The task name or mode label
+ * @param {string} session.mode - The timer mode
+ * @param {number} session.progress - How much of the session is done, from 0 to 1
+ * @param {boolean} session.isRunning - Whether the timer is running (false when paused)
+ */
+export function showTabIndicator({ timeString, label, mode, progress, isRunning }) {
+    isShowing = true;
+    
+    const title = `${isRunning ? '' : '⏸ '}${timeString} • ${label}`;
+    if (document.title !== title) {
+        document.title = title;
+    }
+    
+    // Redraw the favicon only when it would look different
+    const step = Math.floor(Math.min(Math.max(progress, 0), 1) * FAVICON_STEPS);
+    const iconKey = `${mode}-${step}-${isRunning}`;
+    if (iconKey !== lastIconKey) {
+        lastIconKey = iconKey;
+        setFavicon(drawFavicon(MODE_COLORS[mode] || MODE_COLORS.pomodoro, step / FAVICON_STEPS, isRunning));
+    }
+}
+
+/**
+ * Restore the original document title and favicon
+ */
+export function hideTabIndicator() {
+    if (!isShowing) return;
+    isShowing = false;
+    lastIconKey = '';
+    
+    document.title = originalTitle;
+    
+    if (generatedIconLink) {
+        generatedIconLink.remove();
+        generatedIconLink = null;
+        originalIconLinks.forEach(link => document.head.appendChild(link));
+    }
+}
+
+/**
+ * Draw the favicon: a progress ring in the mode color around a filled center
+ * @param {string} color - The ring color
+ * @param {number} progress - How much of the ring to fill, from 0 to 1
+ * @param {boolean} isRunning - Whether the timer is running (a paused timer has a hollow center)
+ * @returns {string|null} The favicon as a data URL, or null if canvas is unsupported
+ */
+function drawFavicon(color, progress, isRunning) {
+    const canvas = document.createElement('canvas');
+    canvas.width = FAVICON_SIZE;
+    canvas.height = FAVICON_SIZE;
+    
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return null;
+    
+    const center = FAVICON_SIZE / 2;
+    const radius = center - 6;
+    
+    // Ring track
+    context.lineWidth = 10;
+    context.strokeStyle = '#e8e8e8';
+    context.beginPath();
+    context.arc(center, center, radius, 0, Math.PI * 2);
+    context.stroke();
+    
+    // Progress, clockwise from the top
+    context.strokeStyle = color;
+    context.beginPath();
+    context.arc(center, center, radius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * progress);
+    context.stroke();
+    
+    // Center dot
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(center, center, radius / 2, 0, Math.PI * 2);
+    if (isRunning) {
+        context.fill();
+    } else {
+        context.lineWidth = 4;
+        context.stroke();
+    }
+    
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Replace the page favicons with a generated one
+ * @param {string|null} dataUrl - The favicon as a data URL
+ */
+function setFavicon(dataUrl) {
+    if (!dataUrl) return;
+    
+    if (!generatedIconLink) {
+        originalIconLinks.forEach(link => link.remove());
+        
+        generatedIconLink = document.createElement('link');
+        generatedIconLink.rel = 'icon';
+        generatedIconLink.type = 'image/png';
+        document.head.appendChild(generatedIconLink);
+    }
+    
+    generatedIconLink.href = dataUrl;
+}
@@ -4,6 +4,7 @@
  */
 
 import { saveState } from './storage.js';
+import { getSettings } from './settings.js';
 
 // Progress data
 let progressData = {
@@ -42,9 +43,14 @@ export function updateProgress(tasks) {
         }
     });
     
+    // Time tracked with the stopwatch counts as pomodoro-equivalents
+    const trackedTime = tasks.reduce((total, task) => total + (task.actualTime || 0), 0);
+    const focusedPomodoros = completedPomodoros;
+    completedPomodoros += Math.floor(toPomodoroEquivalents(trackedTime));
+    
     // Calculate time statistics (in minutes)
     let estimatedTime = tasks.reduce((total, task) => total + (task.estimatedTime || 0), 0);
-    let elapsedTime = completedPomodoros * 25; // Assuming 25 minutes per pomodoro
+    let elapsedTime = focusedPomodoros * getSettings().pomodoro + trackedTime;
     
     // Update the progress data
     progressData = {
@@ -63,6 +69,15 @@ export function updateProgress(tasks) {
     saveState({ progressData });
 }
 
+/**
+ * Convert tracked minutes into the number of pomodoros they are worth
+ * @param {number} minutes - The tracked time in minutes
+ * @returns {number} The (fractional) number of pomodoros
+ */
+export function toPomodoroEquivalents(minutes) {
+    return minutes / getSettings().pomodoro;
+}
+
 /**
  * Update the progress UI elements
  */
@@ -0,0 +1,500 @@
+/**
+ * Project Module
+ * Manages projects (name, color, icon and sidebar order) and renders them in the sidebar
+ *
+ * Tasks refer to their project by name. Renaming or deleting a project is announced
+ * with the 'projectrenamed' and 'projectdeleted' events so the tasks can follow.
+ */
+
+import { saveState, getState, onExternalStateChange } from './storage.js';
+import { escapeHtml, isHexColor } from './utils.js';
+
+// Project that new tasks land in; it can't be renamed, archived or deleted
+export const INBOX_PROJECT = 'Inbox';
+
+// Projects created on first run
+const DEFAULT_PROJECTS = [
+    { id: 1, name: INBOX_PROJECT, color: '#888888', icon: 'fa-regular fa-envelope', order: 0, archived: false },
+    { id: 2, name: 'Work', color: '#ff5c5c', icon: 'fa-solid fa-briefcase', order: 1, archived: false },
+    { id: 3, name: 'Study', color: '#58c3ff', icon: 'fa-solid fa-book', order: 2, archived: false },
+    { id: 4, name: 'Personal', color: '#9c6add', icon: 'fa-solid fa-user', order: 3, archived: false },
+];
+
+// Icons offered in the project form
+const PROJECT_ICONS = {
+    'fa-solid fa-folder': 'Folder',
+    'fa-regular fa-envelope': 'Inbox',
+    'fa-solid fa-briefcase': 'Briefcase',
+    'fa-solid fa-book': 'Book',
+    'fa-solid fa-user': 'Person',
+    'fa-solid fa-home': 'Home',
+    'fa-solid fa-star': 'Star',
+    'fa-solid fa-heart': 'Heart',
+    'fa-solid fa-code': 'Code',
+    'fa-solid fa-dumbbell': 'Fitness',
+    'fa-solid fa-cart-shopping': 'Shopping',
+};
+
+// Color and icon of projects created without choosing them
+const DEFAULT_COLOR = '#4d8eff';
+const DEFAULT_ICON = 'fa-solid fa-folder';
+
+// Longest allowed project name
+const MAX_NAME_LENGTH = 40;
+
+// Names of the smart lists and the search view; lists and their views are found by name
+const RESERVED_NAMES = ['Today', 'Tomorrow', 'This Week', 'High Priority', 'Planned', 'All', 'Completed', 'Tasks', 'Search'];
+
+// Projects, in no particular order (see getProjects)
+let projects = [];
+
+// Whether archived projects are listed in the sidebar
+let showArchived = false;
+
+/**
+ * Initialize the project module
+ */
+export function initProjects() {
+    // Load projects from state, creating the defaults on first run
+    const state = getState();
+    projects = (state.projects || []).map(sanitizeProject);
+    if (projects.length === 0) {
+        projects = DEFAULT_PROJECTS.map(project => ({ ...project }));
+        saveState({ projects });
+    } else if (new Set(projects.map(project => project.id)).size < projects.length) {
+        // Projects created in the same millisecond used to share an ID
+        const seenIds = new Set();
+        projects.forEach(project => {
+            if (seenIds.has(project.id)) {
+                project.id = getNextProjectId();
+            }
+            seenIds.add(project.id);
+        });
+        saveState({ projects });
+    }
+    
+    setupProjectListeners();
+    renderProjectList();
+    
+    // Show project changes made in other tabs
+    onExternalStateChange((changedKeys, newState) => {
+        if (changedKeys.includes('projects')) {
+            projects = (newState.projects || []).map(sanitizeProject);
+            renderProjectList();
+        }
+    });
+}
+
+/**
+ * Get the projects in sidebar order
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeArchived - Whether to include archived projects
+ * @returns {Array} Copies of the projects
+ */
+export function getProjects({ includeArchived = false } = {}) {
+    return projects
+        .filter(project => includeArchived || !project.archived)
+        .sort((a, b) => a.order - b.order)
+        .map(project => ({ ...project }));
+}
+
+/**
+ * Find a project by name, ignoring case
+ * @param {string} name - The project name
+ * @returns {Object|undefined} A copy of the project
+ */
+export function findProject(name) {
+    const project = findProjectByName(name);
+    return project ? { ...project } : undefined;
+}
+
+/**
+ * Make sure a project exists, creating it if needed
+ * @param {string} name - The project name
+ * @returns {string} The name of the project as stored (existing projects keep their casing),
+ * or the Inbox if no project can have the name
+ */
+export function ensureProject(name) {
+    const trimmedName = (name || '').trim() || INBOX_PROJECT;
+    const existing = findProjectByName(trimmedName);
+    if (existing) return existing.name;
+    
+    const error = createProject({ name: trimmedName });
+    return error ? ensureProject(INBOX_PROJECT) : trimmedName;
+}
+
+/**
+ * Create a project
+ * @param {Object} fields - The project fields
+ * @param {string} fields.name - The project name
+ * @param {string} fields.color - The color as a hex string (optional)
+ * @param {string} fields.icon - The Font Awesome icon classes (optional)
+ * @returns {string|null} An error message, or null if the project was created
+ */
+export function createProject({ name, color = DEFAULT_COLOR, icon = DEFAULT_ICON }) {
+    const trimmedName = (name || '').trim();
+    const error = validateProjectName(trimmedName) || validateProjectLook(color, icon);
+    if (error) return error;
+    
+    projects.push({
+        id: getNextProjectId(),
+        name: trimmedName,
+        color,
+        icon,
+        order: Math.max(-1, ...projects.map(p => p.order)) + 1,
+        archived: false,
+    });
+    
+    saveState({ projects });
+    renderProjectList();
+    return null;
+}
+
+/**
+ * Update a project's name, color or icon
+ * @param {number} projectId - The ID of the project
+ * @param {Object} fields - The fields to change (name, color, icon)
+ * @returns {string|null} An error message, or null if the project was updated
+ */
+export function updateProject(projectId, fields) {
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return 'Project not found';
+    
+    const oldName = project.name;
+    const newName = fields.name === undefined ? oldName : fields.name.trim();
+    
+    if (newName !== oldName) {
+        if (oldName === INBOX_PROJECT) return 'The Inbox can\'t be renamed';
+        
+        const error = validateProjectName(newName, project.id);
+        if (error) return error;
+    }
+    
+    const color = fields.color || project.color;
+    const icon = fields.icon || project.icon;
+    const error = validateProjectLook(color, icon);
+    if (error) return error;
+    
+    project.name = newName;
+    project.color = color;
+    project.icon = icon;
+    
+    saveState({ projects });
+    renderProjectList();
+    
+    if (newName !== oldName) {
+        document.dispatchEvent(new CustomEvent('projectrenamed', { detail: { from: oldName, to: newName } }));
+    }
+    return null;
+}
+
+/**
+ * Archive or restore a project
+ * Archived projects keep their tasks but are hidden from the sidebar and project suggestions.
+ * @param {number} projectId - The ID of the project
+ * @param {boolean} archived - Whether the project is archived
+ */
+export function archiveProject(projectId, archived) {
+    const project = projects.find(p => p.id === projectId);
+    if (!project || project.name === INBOX_PROJECT) return;
+    
+    project.archived = archived;
+    saveState({ projects });
+    renderProjectList();
+}
+
+/**
+ * Delete a project; its tasks move to the Inbox
+ * @param {number} projectId - The ID of the project
+ */
+export function deleteProject(projectId) {
+    const project = projects.find(p => p.id === projectId);
+    if (!project || project.name === INBOX_PROJECT) return;
+    
+    projects = projects.filter(p => p.id !== projectId);
+    saveState({ projects });
+    renderProjectList();
+    
+    document.dispatchEvent(new CustomEvent('projectdeleted', {
+        detail: { name: project.name, reassignTo: INBOX_PROJECT },
+    }));
+}
+
+/**
+ * Check a project name
+ * @param {string} name - The trimmed name
+ * @param {number|null} exceptId - A project allowed to have the name already
+ * @returns {string|null} An error message, or null if the name is valid
+ */
+function validateProjectName(name, exceptId = null) {
+    if (name === '') return 'Project name is required';
+    if (name.length > MAX_NAME_LENGTH) return `Project name must be at most ${MAX_NAME_LENGTH} characters`;
+    if (name.startsWith('#')) return 'Project name can\'t start with #, which is used for tags';
+    
+    const reservedName = RESERVED_NAMES.find(reserved => reserved.toLowerCase() === name.toLowerCase());
+    if (reservedName) return `"${reservedName}" is the name of a list`;
+    
+    const existing = findProjectByName(name);
+    if (existing && existing.id !== exceptId) return `A project named "${existing.name}" already exists`;
+    
+    return null;
+}
+
+/**
+ * Check a project's color and icon
+ * @param {string} color - The color
+ * @param {string} icon - The icon classes
+ * @returns {string|null} An error message, or null if both are valid
+ */
+function validateProjectLook(color, icon) {
+    if (!isHexColor(color)) return 'Project color must be a hex color such as #4d8eff';
+    if (!Object.hasOwn(PROJECT_ICONS, icon)) return 'Choose one of the offered project icons';
+    return null;
+}
+
+/**
+ * Check a project read from storage, which another tab or a hand edit may have written
+ * @param {Object} project - The stored project
+ * @returns {Object} The project, with the default color or icon in place of an invalid one
+ */
+function sanitizeProject(project) {
+    return {
+        ...project,
+        color: isHexColor(project.color) ? project.color : DEFAULT_COLOR,
+        icon: Object.hasOwn(PROJECT_ICONS, project.icon) ? project.icon : DEFAULT_ICON,
+    };
+}
+
+/**
+ * Get an ID no project has yet
+ * @returns {number} The highest project ID plus one
+ */
+function getNextProjectId() {
+    return Math.max(0, ...projects.map(project => project.id)) + 1;
+}
+
+/**
+ * Find a stored project by name, ignoring case
+ * @param {string} name - The project name
+ * @returns {Object|undefined} The project
+ */
+function findProjectByName(name) {
+    const lowerName = (name || '').toLowerCase();
+    return projects.find(project => project.name.toLowerCase() === lowerName);
+}
+
+/**
+ * Set up the project form, menus and the "Add Project" button
+ */
+function setupProjectListeners() {
+    const projectLists = document.querySelector('.project-lists');
+    const form = projectLists.querySelector('.project-form');
+    
+    // Offer the project icons in the form
+    form.querySelector('[name="icon"]').innerHTML = Object.entries(PROJECT_ICONS)
+        .map(([icon, label]) => `<option value="${icon}">${label}</option>`)
+        .join('');
+    
+    document.querySelector('.add-project-btn').addEventListener('click', () => openProjectForm(null));
+    
+    projectLists.addEventListener('click', function(e) {
+        // Toggle the menu of a project
+        const menuButton = e.target.closest('.project-menu-btn');
+        if (menuButton) {
+            e.stopPropagation();
+            toggleProjectMenu(menuButton.closest('.list-item'));
+            return;
+        }
+        
+        // Run a menu action
+        const action = e.target.closest('.project-menu [data-action]');
+        if (action) {
+            e.stopPropagation();
+            handleProjectAction(action.dataset.action, Number(action.closest('.project-menu').dataset.projectId));
+            return;
+        }
+        
+        if (e.target.closest('.show-archived-btn')) {
+            showArchived = !showArchived;
+            renderProjectList();
+        }
+    });
+    
+    // Close an open menu when clicking elsewhere
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.project-menu')) {
+            closeProjectMenu();
+        }
+    });
+    
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        
+        const fields = {
+            name: this.querySelector('[name="name"]').value,
+            color: this.querySelector('[name="color"]').value,
+            icon: this.querySelector('[name="icon"]').value,
+        };
+        const projectId = this.dataset.projectId;
+        const error = projectId ? updateProject(Number(projectId), fields) : createProject(fields);
+        
+        this.querySelector('.project-form-error').textContent = error || '';
+        if (!error) {
+            closeProjectForm();
+        }
+    });
+    
+    form.querySelector('.project-form-cancel').addEventListener('click', closeProjectForm);
+    form.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            closeProjectForm();
+        }
+    });
+}
+
+/**
+ * Run an action from a project menu
+ * @param {string} action - 'edit', 'archive', 'unarchive', or 'delete'
+ * @param {number} projectId - The ID of the project
+ */
+function handleProjectAction(action, projectId) {
+    const project = projects.find(p => p.id === projectId);
+    closeProjectMenu();
+    if (!project) return;
+    
+    switch (action) {
+        case 'edit':
+            openProjectForm(project);
+            break;
+        case 'archive':
+            archiveProject(projectId, true);
+            break;
+        case 'unarchive':
+            archiveProject(projectId, false);
+            break;
+        case 'delete':
+            if (confirm(`Delete the project "${project.name}"? Its tasks will be moved to ${INBOX_PROJECT}.`)) {
+                deleteProject(projectId);
+            }
+            break;
+    }
+}
+
+/**
+ * Open the project form to create or edit a project
+ * @param {Object|null} project - The project to edit, or null to create one
+ */
+function openProjectForm(project) {
+    const form = document.querySelector('.project-form');
+    closeProjectMenu();
+    
+    form.dataset.projectId = project ? project.id : '';
+    form.querySelector('[name="name"]').value = project ? project.name : '';
+    form.querySelector('[name="name"]').disabled = Boolean(project) && project.name === INBOX_PROJECT;
+    form.querySelector('[name="color"]').value = project ? project.color : DEFAULT_COLOR;
+    form.querySelector('[name="icon"]').value = project ? project.icon : DEFAULT_ICON;
+    form.querySelector('.project-form-error').textContent = '';
+    form.querySelector('.project-form-save').textContent = project ? 'Save' : 'Add';
+    
+    // Edit in place under the project; create at the end of the list
+    const projectItem = project && document.querySelector(`.project-lists .list-item[data-project-id="${project.id}"]`);
+    if (projectItem) {
+        projectItem.after(form);
+    } else {
+        document.querySelector('.project-items').after(form);
+    }
+    
+    form.style.display = 'block';
+    form.querySelector(project && project.name === INBOX_PROJECT ? '[name="color"]' : '[name="name"]').focus();
+}
+
+/**
+ * Close the project form
+ */
+function closeProjectForm() {
+    const form = document.querySelector('.project-form');
+    form.style.display = 'none';
+    
+    // Park the form outside the rendered items so a re-render keeps it
+    document.querySelector('.project-items').after(form);
+}
+
+/**
+ * Show or hide the menu of a project
+ * @param {HTMLElement} projectItem - The project's sidebar item
+ */
+function toggleProjectMenu(projectItem) {
+    const openMenu = document.querySelector('.project-menu');
+    const isOpenForItem = openMenu && openMenu.dataset.projectId === projectItem.dataset.projectId;
+    closeProjectMenu();
+    if (isOpenForItem) return;
+    
+    const project = projects.find(p => p.id === Number(projectItem.dataset.projectId));
+    if (!project) return;
+    
+    const menu = document.createElement('div');
+    menu.classList.add('project-menu');
+    menu.dataset.projectId = project.id;
+    
+    if (project.name === INBOX_PROJECT) {
+        menu.innerHTML = '<button data-action="edit"><i class="fa-solid fa-pen"></i> Edit</button>';
+    } else {
+        menu.innerHTML = `
+            <button data-action="edit"><i class="fa-solid fa-pen"></i> Edit</button>
+            <button data-action="${project.archived ? 'unarchive' : 'archive'}">
+                <i class="fa-solid fa-box-archive"></i> ${project.archived ? 'Unarchive' : 'Archive'}
+            </button>
+            <button data-action="delete" class="danger"><i class="fa-regular fa-trash-can"></i> Delete</button>
+        `;
+    }
+    
+    projectItem.after(menu);
+}
+
+/**
+ * Close the open project menu, if any
+ */
+function closeProjectMenu() {
+    const menu = document.querySelector('.project-menu');
+    if (menu) {
+        menu.remove();
+    }
+}
+
+/**
+ * Render the projects in the sidebar
+ */
+function renderProjectList() {
+    const projectItems = document.querySelector('.project-items');
+    
+    // Keep the project form, which may be open under a project, out of the re-render
+    const form = document.querySelector('.project-form');
+    if (projectItems.contains(form)) {
+        projectItems.after(form);
+    }
+    
+    // Keep the selected project selected across re-renders
+    const activeItem = projectItems.querySelector('.list-item.active');
+    const activeId = activeItem ? activeItem.dataset.projectId : null;
+    
+    projectItems.innerHTML = getProjects({ includeArchived: showArchived }).map(project => `
+        <div class="list-item${project.archived ? ' archived' : ''}${project.id === Number(activeId) ? ' active' : ''}" data-project-id="${project.id}">
+            <div class="list-icon"><i class="${project.icon}" style="color: ${project.color}"></i></div>
+            <div class="list-name">${escapeHtml(project.name)}</div>
+            <div class="list-count">0</div>
+            <div class="list-duration">0m</div>
+            <button class="project-menu-btn" aria-label="Project options"><i class="fa-solid fa-ellipsis"></i></button>
+        </div>
+    `).join('');
+    
+    // Offer to list archived projects only when there are any
+    const archivedCount = projects.filter(project => project.archived).length;
+    const showArchivedButton = document.querySelector('.show-archived-btn');
+    showArchivedButton.style.display = archivedCount > 0 ? '' : 'none';
+    showArchivedButton.textContent = showArchived
+        ? 'Hide archived projects'
+        : `Show archived projects (${archivedCount})`;
+    
+    // Let the task module fill in the counts
+    document.dispatchEvent(new CustomEvent('projectlistrendered'));
+}
@@ -0,0 +1,281 @@
+/**
+ * Quick Add Module
+ * Parses inline syntax typed into the new task input, e.g.
+ * "Write report tomorrow 3pm #important @Work !!! 4p"
+ */
+
+import { toDateKey, addDays } from './dates.js';
+
+// Weekday names, indexed like Date.getDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Month names, indexed like Date.getMonth()
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Highest priority (shown as four dots)
+const MAX_PRIORITY = 4;
+
+/**
+ * Parse a quick-add string into a task name and task options
+ * Recognized syntax:
+ * - due date: today, tomorrow, on monday, next fri, in 3 days, in 2 weeks, 10/20, 2026-10-20,
+ *   and at the end of the name oct 20, 20 oct or a full weekday name (monday)
+ * - due time: 3pm, 3:30pm, 15:00 (optionally preceded by "at")
+ * - #tag, @project, !!! (priority 1-4) and 4p (pomodoro estimate)
+ * @param {string} text - The text typed by the user
+ * @param {Object} options - Parsing options
+ * @param {Array} options.projects - Existing project names, matched case-insensitively
+ * @param {Date} options.now - The current time (defaults to now)
+ * @returns {Object} The parsed task: name, dueDate, dueTime, tags, project, priority, pomodoros
+ */
+export function parseQuickAdd(text, { projects = [], now = new Date() } = {}) {
+    const tokens = text.trim().split(/\s+/).filter(Boolean);
+    const result = { name: '', dueDate: null, dueTime: null, tags: [], project: null, priority: null, pomodoros: null };
+    const nameTokens = [];
+    
+    let i = 0;
+    while (i < tokens.length) {
+        const token = tokens[i];
+        
+        let match;
+        if ((match = token.match(/^#([\w-]+)$/))) {
+            if (!result.tags.includes(match[1])) {
+                result.tags.push(match[1]);
+            }
+            i++;
+        } else if ((match = token.match(/^@(\S+)$/))) {
+            const existing = projects.find(project => project.toLowerCase() === match[1].toLowerCase());
+            result.project = existing || match[1];
+            i++;
+        } else if (/^!{1,4}$/.test(token)) {
+            result.priority = Math.min(token.length, MAX_PRIORITY);
+            i++;
+        } else if ((match = token.match(/^(\d{1,2})p$/i)) && Number(match[1]) > 0) {
+            result.pomodoros = Number(match[1]);
+            i++;
+        } else {
+            // Dates and times may span several words
+            const date = result.dueDate === null ? matchDate(tokens, i, now) : null;
+            const time = !date && result.dueTime === null ? matchTime(tokens, i) : null;
+            
+            if (date) {
+                result.dueDate = date.value;
+                i += date.length;
+            } else if (time) {
+                result.dueTime = time.value;
+                i += time.length;
+            } else {
+                nameTokens.push(token);
+                i++;
+            }
+        }
+    }
+    
+    // A time without a date means today
+    if (result.dueTime && !result.dueDate) {
+        result.dueDate = toDateKey(now);
+    }
+    
+    // Keep the text as typed if nothing is left for the name
+    result.name = nameTokens.length > 0 ? nameTokens.join(' ') : text.trim();
+    
+    return result;
+}
+
+/**
+ * Match a due date at a token position
+ * @param {Array} tokens - The tokens
+ * @param {number} index - The position to match at
+ * @param {Date} now - The current time
+ * @returns {Object|null} The date key (value) and the number of tokens used (length)
+ */
+function matchDate(tokens, index, now) {
+    const word = (tokens[index] || '').toLowerCase();
+    const nextWord = (tokens[index + 1] || '').toLowerCase();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    
+    if (word === 'today' || word === 'tod') {
+        return { value: toDateKey(today), length: 1 };
+    }
+    if (word === 'tomorrow' || word === 'tmr') {
+        return { value: toDateKey(addDays(today, 1)), length: 1 };
+    }
+    
+    // "on monday", "next fri", or "friday" ending the name; "Watch the sun" has no date
+    if (word === 'on' || word === 'next') {
+        const weekday = findWeekday(nextWord);
+        if (weekday !== -1) {
+            return { value: toDateKey(getNextWeekday(today, weekday, word === 'next')), length: 2 };
+        }
+    }
+    const weekday = WEEKDAYS.indexOf(word);
+    if (weekday !== -1 && isNameEnd(tokens, index + 1)) {
+        return { value: toDateKey(getNextWeekday(today, weekday, false)), length: 1 };
+    }
+    
+    // "in 3 days", "in 2 weeks"
+    if (word === 'in' && /^\d+$/.test(nextWord)) {
+        const unit = (tokens[index + 2] || '').toLowerCase();
+        const amount = Number(nextWord);
+        if (/^days?$/.test(unit)) {
+            return { value: toDateKey(addDays(today, amount)), length: 3 };
+        }
+        if (/^weeks?$/.test(unit)) {
+            return { value: toDateKey(addDays(today, amount * 7)), length: 3 };
+        }
+    }
+    
+    // "2026-10-20"
+    let match = word.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        return toDateMatch(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 1);
+    }
+    
+    // "10/20", the next such date
+    match = word.match(/^(\d{1,2})\/(\d{1,2})$/);
+    if (match) {
+        return toUpcomingDateMatch(today, Number(match[1]) - 1, Number(match[2]), 1);
+    }
+    
+    // "oct 20" and "20 oct" ending the name; "Plan May 5 party" has no date
+    if (!isNameEnd(tokens, index + 2)) return null;
+    const month = findMonth(word);
+    if (month !== -1 && /^\d{1,2}$/.test(nextWord)) {
+        return toUpcomingDateMatch(today, month, Number(nextWord), 2);
+    }
+    const monthAfter = findMonth(nextWord);
+    if (/^\d{1,2}$/.test(word) && monthAfter !== -1) {
+        return toUpcomingDateMatch(today, monthAfter, Number(word), 2);
+    }
+    
+    return null;
+}
+
+/**
+ * Match a due time at a token position
+ * @param {Array} tokens - The tokens
+ * @param {number} index - The position to match at
+ * @returns {Object|null} The time as HH:MM (value) and the number of tokens used (length)
+ */
+function matchTime(tokens, index) {
+    const word = (tokens[index] || '').toLowerCase();
+    
+    if (word === 'at') {
+        const time = parseTime((tokens[index + 1] || '').toLowerCase());
+        return time ? { value: time, length: 2 } : null;
+    }
+    
+    const time = parseTime(word);
+    return time ? { value: time, length: 1 } : null;
+}
+
+/**
+ * Parse a time like "3pm", "3:30pm" or "15:00"
+ * @param {string} word - The word to parse
+ * @returns {string|null} The time as HH:MM
+ */
+function parseTime(word) {
+    let hours;
+    let minutes;
+    
+    let match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+    if (match) {
+        hours = Number(match[1]);
+        minutes = Number(match[2] || 0);
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+    } else if ((match = word.match(/^(\d{1,2}):(\d{2})$/))) {
+        hours = Number(match[1]);
+        minutes = Number(match[2]);
+    } else {
+        return null;
+    }
+    
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Check whether the task name ends before a token position
+ * @param {Array} tokens - The tokens
+ * @param {number} index - The position after the last name word
+ * @returns {boolean} True if only times, tags, projects, priorities and estimates follow
+ */
+function isNameEnd(tokens, index) {
+    let i = index;
+    while (i < tokens.length) {
+        const time = matchTime(tokens, i);
+        if (time) {
+            i += time.length;
+        } else if (/^(#[\w-]+|@\S+|!{1,4}|\d{1,2}p)$/i.test(tokens[i])) {
+            i++;
+        } else {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Find a weekday by its full or three-letter name
+ * @param {string} word - The word to look up
+ * @returns {number} The weekday index, or -1
+ */
+function findWeekday(word) {
+    if (word.length < 3) return -1;
+    return WEEKDAYS.findIndex(name => name === word || name.slice(0, 3) === word);
+}
+
+/**
+ * Find a month by its full or three-letter name
+ * @param {string} word - The word to look up
+ * @returns {number} The month index, or -1
+ */
+function findMonth(word) {
+    if (word.length < 3) return -1;
+    return MONTHS.findIndex(name => name === word || name.slice(0, 3) === word);
+}
+
+/**
+ * Get the next date falling on a weekday
+ * @param {Date} today - Today at midnight
+ * @param {number} weekday - The weekday index
+ * @param {boolean} skipToday - Whether today itself is too early
+ * @returns {Date} The date
+ */
+function getNextWeekday(today, weekday, skipToday) {
+    let days = (weekday - today.getDay() + 7) % 7;
+    if (days === 0 && skipToday) {
+        days = 7;
+    }
+    return addDays(today, days);
+}
+
+/**
+ * Build a date match, rejecting impossible dates such as Feb 30
+ * @param {number} year - The year
+ * @param {number} month - The month index
+ * @param {number} day - The day of the month
+ * @param {number} length - The number of tokens used
+ * @returns {Object|null} The date match
+ */
+function toDateMatch(year, month, day, length) {
+    const date = new Date(year, month, day);
+    if (date.getMonth() !== month || date.getDate() !== day) return null;
+    return { value: toDateKey(date), length };
+}
+
+/**
+ * Build a date match for a month and day, in the next year if the date has passed
+ * @param {Date} today - Today at midnight
+ * @param {number} month - The month index
+ * @param {number} day - The day of the month
+ * @param {number} length - The number of tokens used
+ * @returns {Object|null} The date match
+ */
+function toUpcomingDateMatch(today, month, day, length) {
+    const thisYear = new Date(today.getFullYear(), month, day);
+    const year = thisYear < today ? today.getFullYear() + 1 : today.getFullYear();
+    return toDateMatch(year, month, day, length);
+}
@@ -0,0 +1,292 @@
+/**
+ * Recurrence Module
+ * Calculates the occurrences of recurring tasks from their repeat rules
+ *
+ * A task's `recurrence` holds the rule and the series position:
+ * - type: 'daily', 'weekdays', 'days', 'weeks', 'monthly', or 'custom'
+ * - interval: N for 'days' and 'weeks'
+ * - dayOfMonth: X for 'monthly'
+ * - rrule: an RRULE-like string for 'custom', e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"
+ * - occurrence: the 1-based position of the task in its series
+ * - nextOccurrenceId: the task spawned when this occurrence was completed
+ */
+
+import { parseDateKey, toDateKey, addDays } from './dates.js';
+
+// RRULE weekday codes, indexed like Date.getDay()
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Frequencies supported in custom rules
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Upper bound when searching for the next matching date
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse an RRULE-like string
+ * Supports FREQ, INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly), COUNT and UNTIL.
+ * @param {string} rrule - The rule, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+ * @returns {Object} The parsed rule
+ * @throws {Error} If the rule is invalid
+ */
+export function parseRRule(rrule) {
+    const parts = rrule.toUpperCase().replace(/^RRULE:/, '').split(';').filter(Boolean);
+    const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+    
+    parts.forEach(part => {
+        const [key, value = ''] = part.split('=').map(s => s.trim());
+        
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) {
+                    throw new Error(`Unsupported frequency "${value}"`);
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = parsePositiveInteger(value, 'INTERVAL');
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(day => {
+                    if (!WEEKDAY_CODES.includes(day)) {
+                        throw new Error(`Unknown weekday "${day}"`);
+                    }
+                    return day;
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = parsePositiveInteger(value, 'BYMONTHDAY');
+                if (rule.byMonthDay > 31) {
+                    throw new Error('BYMONTHDAY must be between 1 and 31');
+                }
+                break;
+            case 'COUNT':
+                rule.count = parsePositiveInteger(value, 'COUNT');
+                break;
+            case 'UNTIL':
+                if (!/^\d{8}$/.test(value)) {
+                    throw new Error('UNTIL must be a date like 20261231');
+                }
+                rule.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+                break;
+            default:
+                throw new Error(`Unsupported rule part "${key}"`);
+        }
+    });
+    
+    if (!rule.freq) {
+        throw new Error('FREQ is required');
+    }
+    
+    return rule;
+}
+
+/**
+ * Validate a task recurrence
+ * @param {Object} recurrence - The recurrence to validate
+ * @returns {string|null} An error message, or null if valid
+ */
+export function validateRecurrence(recurrence) {
+    try {
+        toRule(recurrence);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Get the due date of the occurrence following a given date
+ * @param {Object} recurrence - The task recurrence
+ * @param {string} fromDate - The current due date (YYYY-MM-DD)
+ * @returns {string|null} The next due date (YYYY-MM-DD), or null if the series has ended
+ */
+export function getNextDueDate(recurrence, fromDate) {
+    const rule = toRule(recurrence);
+    
+    // COUNT limits the total number of occurrences in the series
+    if (rule.count !== null && (recurrence.occurrence || 1) >= rule.count) {
+        return null;
+    }
+    
+    const next = findNextDate(rule, parseDateKey(fromDate));
+    if (!next) return null;
+    
+    const nextKey = toDateKey(next);
+    if (rule.until !== null && nextKey > rule.until) {
+        return null;
+    }
+    
+    return nextKey;
+}
+
+/**
+ * Create the task for the next occurrence in a series
+ * Occurrences that fell due while a late task was open are skipped, but still count toward COUNT.
+ * @param {Object} task - The completed occurrence
+ * @param {number} id - The ID for the new task
+ * @param {Date} now - The current time (defaults to now)
+ * @returns {Object|null} The next occurrence due today or later, or null if the series has ended
+ */
+export function createNextOccurrence(task, id, now = new Date()) {
+    const { nextOccurrenceId, ...recurrence } = task.recurrence;
+    const today = toDateKey(now);
+    
+    // Tasks without a due date repeat from the day they are completed
+    let occurrence = recurrence.occurrence || 1;
+    let dueDate = getNextDueDate({ ...recurrence, occurrence }, task.dueDate || today);
+    while (dueDate && dueDate < today) {
+        occurrence++;
+        dueDate = getNextDueDate({ ...recurrence, occurrence }, dueDate);
+    }
+    if (!dueDate) return null;
+    
+    return {
+        ...task,
+        id,
+        completed: false,
+        dueDate,
+        subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+        pomodoroQuantity: { completed: 0, total: task.pomodoroQuantity?.total || 1 },
+        actualTime: 0,
+        recurrence: { ...recurrence, occurrence: occurrence + 1 },
+        // A reminder at a fixed time belongs to this occurrence only
+        reminder: task.reminder && task.reminder.at ? null : task.reminder,
+    };
+}
+
+/**
+ * Describe a recurrence in words
+ * @param {Object|null} recurrence - The task recurrence
+ * @returns {string} The description (e.g. "Every 2 weeks")
+ */
+export function describeRecurrence(recurrence) {
+    if (!recurrence) return 'None';
+    
+    switch (recurrence.type) {
+        case 'daily':
+            return 'Daily';
+        case 'weekdays':
+            return 'Every weekday';
+        case 'days':
+            return recurrence.interval > 1 ? `Every ${recurrence.interval} days` : 'Daily';
+        case 'weeks':
+            return recurrence.interval > 1 ? `Every ${recurrence.interval} weeks` : 'Weekly';
+        case 'monthly':
+            return `Monthly on day ${recurrence.dayOfMonth}`;
+        case 'custom':
+            return `Custom: ${recurrence.rrule}`;
+        default:
+            return 'None';
+    }
+}
+
+/**
+ * Convert a task recurrence into a normalized rule
+ * @param {Object} recurrence - The task recurrence
+ * @returns {Object} The rule (freq, interval, byDay, byMonthDay, count, until)
+ * @throws {Error} If the recurrence is invalid
+ */
+function toRule(recurrence) {
+    const rule = { freq: null, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+    
+    switch (recurrence.type) {
+        case 'daily':
+            return { ...rule, freq: 'DAILY' };
+        case 'weekdays':
+            return { ...rule, freq: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+        case 'days':
+            return { ...rule, freq: 'DAILY', interval: parsePositiveInteger(recurrence.interval, 'Interval') };
+        case 'weeks':
+            return { ...rule, freq: 'WEEKLY', interval: parsePositiveInteger(recurrence.interval, 'Interval') };
+        case 'monthly': {
+            const dayOfMonth = parsePositiveInteger(recurrence.dayOfMonth, 'Day of month');
+            if (dayOfMonth > 31) {
+                throw new Error('Day of month must be between 1 and 31');
+            }
+            return { ...rule, freq: 'MONTHLY', byMonthDay: dayOfMonth };
+        }
+        case 'custom':
+            return parseRRule(recurrence.rrule || '');
+        default:
+            throw new Error(`Unknown repeat type "${recurrence.type}"`);
+    }
+}
+
+/**
+ * Find the first date after a date that matches a rule
+ * @param {Object} rule - The normalized rule
+ * @param {Date} from - The date to search from (exclusive)
+ * @returns {Date|null} The next matching date
+ */
+function findNextDate(rule, from) {
+    switch (rule.freq) {
+        case 'DAILY':
+            return addDays(from, rule.interval);
+        case 'WEEKLY': {
+            const byDay = rule.byDay || [WEEKDAY_CODES[from.getDay()]];
+            const fromWeekStart = getWeekStart(from);
+            
+            for (let i = 1; i <= MAX_SEARCH_DAYS; i++) {
+                const candidate = addDays(from, i);
+                const weeksApart = Math.round((getWeekStart(candidate) - fromWeekStart) / (7 * 24 * 60 * 60 * 1000));
+                if (weeksApart % rule.interval === 0 && byDay.includes(WEEKDAY_CODES[candidate.getDay()])) {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+        case 'MONTHLY': {
+            const dayOfMonth = rule.byMonthDay || from.getDate();
+            
+            // Days past the end of a short month fall on its last day
+            for (let months = 0; months <= 12 * 100; months += rule.interval) {
+                const candidate = getDayInMonth(from.getFullYear(), from.getMonth() + months, dayOfMonth);
+                if (candidate > from) {
+                    return candidate;
+                }
+            }
+            return null;
+        }
+        case 'YEARLY':
+            return getDayInMonth(from.getFullYear() + rule.interval, from.getMonth(), from.getDate());
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a positive whole number
+ * @param {string|number} value - The value to parse
+ * @param {string} label - The name used in the error message
+ * @returns {number} The number
+ * @throws {Error} If the value is not a positive whole number
+ */
+function parsePositiveInteger(value, label) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${label} must be a whole number of at least 1`);
+    }
+    return number;
+}
+
+/**
+ * Get the Monday starting the week of a date
+ * @param {Date} date - The date
+ * @returns {Date} The start of the week
+ */
+function getWeekStart(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+/**
+ * Get a day in a month, clamped to the month's last day
+ * @param {number} year - The year
+ * @param {number} month - The month index (may overflow into later years)
+ * @param {number} day - The day of the month
+ * @returns {Date} The date
+ */
+function getDayInMonth(year, month, day) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+}
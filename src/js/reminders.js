@@ -0,0 +1,349 @@
+/**
+ * Reminders Module
+ * Fires task reminders as browser notifications and lists them in the notification center
+ *
+ * A task's `reminder` is either { at: 'YYYY-MM-DDTHH:MM' } for a fixed local time, or
+ * { minutesBefore: N } for N minutes before the task is due. The time each task was last
+ * reminded for is kept apart from the reminder log, which is trimmed, so each reminder time
+ * fires once, even across reloads and tabs.
+ */
+
+import { saveState, getState, onExternalStateChange } from './storage.js';
+import { parseDateKey, toDateKey } from './dates.js';
+import { escapeHtml, showNotification } from './utils.js';
+
+// How often reminders are checked while the app is open (ms)
+const CHECK_INTERVAL = 30 * 1000;
+
+// Oldest log entries are dropped beyond this many
+const MAX_LOG_ENTRIES = 200;
+
+// Past reminders listed in the notification center
+const MAX_PAST_SHOWN = 20;
+
+// Due time assumed for "before due" reminders of tasks without one
+export const DEFAULT_DUE_TIME = '09:00';
+
+// Longest "before due" reminder, one week (minutes)
+export const MAX_MINUTES_BEFORE = 7 * 24 * 60;
+
+// Snooze choices offered for fired reminders (minutes)
+const SNOOZE_OPTIONS = [10, 60];
+
+// Fired reminders (id, taskId, taskName, remindAt, firedAt, snoozedUntil), oldest first
+let reminderLog = [];
+
+// Reminder time (ms) each task was last reminded for, by task ID
+let firedReminders = {};
+
+// When the notification center was last opened (ms), for the unread badge
+let seenAt = 0;
+
+/**
+ * Initialize the reminders module
+ */
+export function initReminders() {
+    const state = getState();
+    reminderLog = state.reminderLog || [];
+    seenAt = state.remindersSeenAt || 0;
+    firedReminders = { ...state.firedReminders };
+    
+    // Logs saved before fired reminders were tracked apart still say what fired
+    [...reminderLog].reverse().forEach(entry => {
+        if (!(entry.taskId in firedReminders)) {
+            firedReminders[entry.taskId] = entry.remindAt;
+        }
+    });
+    
+    // Pick up reminders fired or snoozed in other tabs
+    onExternalStateChange((changedKeys, newState) => {
+        if (changedKeys.includes('reminderLog')) {
+            reminderLog = newState.reminderLog || [];
+        }
+        if (changedKeys.includes('remindersSeenAt')) {
+            seenAt = newState.remindersSeenAt || 0;
+        }
+        if (changedKeys.includes('firedReminders')) {
+            firedReminders = { ...newState.firedReminders };
+        }
+        if (changedKeys.some(key => ['reminderLog', 'remindersSeenAt', 'tasks'].includes(key))) {
+            renderNotificationCenter();
+        }
+    });
+    
+    setupNotificationCenter();
+    
+    // Fire the reminders missed while the app was closed, then keep checking
+    checkReminders();
+    setInterval(checkReminders, CHECK_INTERVAL);
+}
+
+/**
+ * Get when a task's reminder fires
+ * @param {Object} task - The task
+ * @returns {number|null} The reminder time (ms), or null if it has none or it can't be placed
+ */
+export function getReminderTime(task) {
+    const reminder = task.reminder;
+    if (!reminder) return null;
+    
+    if (reminder.at) {
+        return parseLocalDateTime(reminder.at);
+    }
+    
+    // Reminders before the due date wait until the task has one
+    if (reminder.minutesBefore !== undefined && task.dueDate) {
+        const [hours, minutes] = (task.dueTime || DEFAULT_DUE_TIME).split(':').map(Number);
+        const due = parseDateKey(task.dueDate);
+        due.setHours(hours, minutes - reminder.minutesBefore);
+        return due.getTime();
+    }
+    
+    return null;
+}
+
+/**
+ * Describe a reminder in words
+ * @param {Object|null} reminder - The task reminder
+ * @returns {string} The description (e.g. "15 minutes before due")
+ */
+export function describeReminder(reminder) {
+    if (!reminder) return 'None';
+    if (reminder.at) {
+        const time = parseLocalDateTime(reminder.at);
+        return Number.isFinite(time) ? `At ${formatReminderTime(time)}` : 'Invalid time';
+    }
+    
+    const minutes = reminder.minutesBefore;
+    if (minutes === 0) return 'When due';
+    if (minutes % (24 * 60) === 0) return pluralize(minutes / (24 * 60), 'day') + ' before due';
+    if (minutes % 60 === 0) return pluralize(minutes / 60, 'hour') + ' before due';
+    return pluralize(minutes, 'minute') + ' before due';
+}
+
+/**
+ * Format a reminder time for display
+ * @param {number} time - The time (ms)
+ * @returns {string} The formatted time (e.g. "Sun, Oct 18, 9:00 AM")
+ */
+export function formatReminderTime(time) {
+    const options = { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' };
+    return new Date(time).toLocaleString('en-US', options);
+}
+
+/**
+ * Snooze a fired reminder
+ * @param {string} entryId - The ID of the reminder log entry
+ * @param {number} minutes - How long to snooze it for
+ */
+export function snoozeReminder(entryId, minutes) {
+    const entry = reminderLog.find(e => e.id === entryId);
+    if (!entry) return;
+    
+    entry.snoozedUntil = Date.now() + minutes * 60 * 1000;
+    saveState({ reminderLog });
+    renderNotificationCenter();
+}
+
+/**
+ * Fire the reminders that are due, including ones missed while the app was closed
+ */
+function checkReminders() {
+    const now = Date.now();
+    const fired = [];
+    
+    // Tasks are read from the saved state so edits from every tab count
+    const tasks = getState().tasks || [];
+    tasks.forEach(task => {
+        const remindAt = getReminderTime(task);
+        if (task.completed || remindAt === null || remindAt > now) return;
+        if (firedReminders[task.id] === remindAt) return;
+        
+        const entry = { id: `${task.id}-${now}`, taskId: task.id, taskName: task.name, remindAt, firedAt: now, snoozedUntil: null };
+        firedReminders[task.id] = remindAt;
+        reminderLog.push(entry);
+        fired.push(entry);
+    });
+    
+    // Snoozed reminders fire again once their snooze is over, unless their task is gone or done
+    let dropped = false;
+    reminderLog = reminderLog.filter(entry => {
+        if (!entry.snoozedUntil || entry.snoozedUntil > now) return true;
+        
+        const task = tasks.find(t => t.id == entry.taskId);
+        if (!task || task.completed) {
+            dropped = true;
+            return false;
+        }
+        
+        entry.snoozedUntil = null;
+        entry.firedAt = now;
+        fired.push(entry);
+        return true;
+    });
+    
+    if (fired.length === 0) {
+        if (dropped) {
+            saveState({ reminderLog });
+            renderNotificationCenter();
+        }
+        return;
+    }
+    
+    // Only the log is trimmed; deleted tasks no longer need their last reminder time
+    if (reminderLog.length > MAX_LOG_ENTRIES) {
+        reminderLog = reminderLog.slice(-MAX_LOG_ENTRIES);
+    }
+    Object.keys(firedReminders).forEach(taskId => {
+        if (!tasks.some(task => task.id == taskId)) {
+            delete firedReminders[taskId];
+        }
+    });
+    saveState({ reminderLog, firedReminders });
+    
+    // Missed reminders are announced together rather than one by one
+    if (fired.length === 1) {
+        showNotification(`Reminder: ${fired[0].taskName}`, formatReminderTime(fired[0].remindAt));
+    } else {
+        showNotification(`${fired.length} reminders`, fired.map(entry => entry.taskName).join(', '));
+    }
+    
+    renderNotificationCenter();
+}
+
+/**
+ * Set up the bell button and the notification center
+ */
+function setupNotificationCenter() {
+    const bellButton = document.querySelector('.notifications-btn');
+    const notificationCenter = document.querySelector('.notification-center');
+    
+    bellButton.addEventListener('click', function(e) {
+        e.stopPropagation();
+        const isOpen = notificationCenter.style.display !== 'none';
+        
+        notificationCenter.style.display = isOpen ? 'none' : 'block';
+        this.setAttribute('aria-expanded', String(!isOpen));
+        
+        // Opening the list marks every fired reminder as seen
+        if (!isOpen) {
+            seenAt = Date.now();
+            saveState({ remindersSeenAt: seenAt });
+        }
+        renderNotificationCenter();
+    });
+    
+    // Close the list when clicking elsewhere
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.notification-center')) {
+            notificationCenter.style.display = 'none';
+            bellButton.setAttribute('aria-expanded', 'false');
+        }
+    });
+    
+    notificationCenter.addEventListener('click', function(e) {
+        // Snoozing re-renders the list, so the clicked button is gone by the time the document sees the click
+        e.stopPropagation();
+        
+        const item = e.target.closest('.notification-item');
+        if (!item) return;
+        
+        const snoozeButton = e.target.closest('.snooze-btn');
+        if (snoozeButton) {
+            snoozeReminder(item.dataset.entryId, Number(snoozeButton.dataset.minutes));
+        } else if (e.target.closest('.notification-task')) {
+            document.dispatchEvent(new CustomEvent('reminderopen', { detail: { taskId: item.dataset.taskId } }));
+            notificationCenter.style.display = 'none';
+            bellButton.setAttribute('aria-expanded', 'false');
+        }
+    });
+    
+    renderNotificationCenter();
+}
+
+/**
+ * Show the upcoming and past reminders, and the number of unseen ones on the bell
+ */
+function renderNotificationCenter() {
+    const now = Date.now();
+    const tasks = getState().tasks || [];
+    
+    // Upcoming: reminders of open tasks that haven't fired yet, and snoozed ones
+    const upcoming = tasks
+        .filter(task => !task.completed)
+        .map(task => ({ taskId: task.id, taskName: task.name, time: getReminderTime(task), snoozed: false }))
+        .filter(reminder => reminder.time !== null && reminder.time > now);
+    const openTaskIds = new Set(tasks.filter(task => !task.completed).map(task => String(task.id)));
+    reminderLog.filter(entry => entry.snoozedUntil && openTaskIds.has(String(entry.taskId))).forEach(entry => {
+        upcoming.push({ taskId: entry.taskId, taskName: entry.taskName, time: entry.snoozedUntil, snoozed: true });
+    });
+    upcoming.sort((a, b) => a.time - b.time);
+    
+    const past = reminderLog
+        .filter(entry => !entry.snoozedUntil)
+        .sort((a, b) => b.firedAt - a.firedAt)
+        .slice(0, MAX_PAST_SHOWN);
+    
+    const notificationCenter = document.querySelector('.notification-center');
+    notificationCenter.querySelector('.upcoming-reminders').innerHTML = upcoming.length > 0
+        ? upcoming.map(reminder => renderNotificationItem(reminder, reminder.snoozed ? 'Snoozed until' : '')).join('')
+        : '<div class="notification-empty">No upcoming reminders</div>';
+    notificationCenter.querySelector('.past-reminders').innerHTML = past.length > 0
+        ? past.map(entry => renderNotificationItem({ ...entry, time: entry.remindAt }, '', entry.id)).join('')
+        : '<div class="notification-empty">No reminders yet</div>';
+    
+    const unseen = reminderLog.filter(entry => entry.firedAt > seenAt && !entry.snoozedUntil).length;
+    const badge = document.querySelector('.notification-badge');
+    badge.textContent = unseen;
+    badge.style.display = unseen > 0 ? '' : 'none';
+}
+
+/**
+ * Render one reminder in the notification center
+ * @param {Object} reminder - The reminder (taskId, taskName, time)
+ * @param {string} prefix - Text shown before the time
+ * @param {string|null} entryId - The log entry of a fired reminder, which can be snoozed
+ * @returns {string} The HTML
+ */
+function renderNotificationItem(reminder, prefix, entryId = null) {
+    const snoozeButtons = entryId
+        ? SNOOZE_OPTIONS.map(minutes => `<button type="button" class="snooze-btn" data-minutes="${minutes}">${minutes >= 60 ? `${minutes / 60} h` : `${minutes} min`}</button>`).join('')
+        : '';
+    
+    return `
+        <div class="notification-item" data-task-id="${escapeHtml(String(reminder.taskId))}"${entryId ? ` data-entry-id="${escapeHtml(entryId)}"` : ''}>
+            <button type="button" class="notification-task">${escapeHtml(reminder.taskName)}</button>
+            <div class="notification-time">${prefix ? `${prefix} ` : ''}${formatReminderTime(reminder.time)}</div>
+            ${snoozeButtons ? `<div class="snooze-options">Snooze ${snoozeButtons}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Parse a local date and time
+ * @param {string} value - The date and time (YYYY-MM-DDTHH:MM)
+ * @returns {number|null} The time (ms), or null if it isn't valid
+ */
+function parseLocalDateTime(value) {
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})$/);
+    if (!match) return null;
+    
+    // Out-of-range parts such as month 13 would roll over into another date
+    const date = parseDateKey(match[1]);
+    const hours = Number(match[2]);
+    const minutes = Number(match[3]);
+    if (toDateKey(date) !== match[1] || hours > 23 || minutes > 59) return null;
+    
+    date.setHours(hours, minutes);
+    return date.getTime();
+}
+
+/**
+ * Format a count with a unit
+ * @param {number} count - The count
+ * @param {string} unit - The singular unit
+ * @returns {string} The text (e.g. "2 hours")
+ */
+function pluralize(count, unit) {
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,270 @@
+/**
+ * Search Module
+ * Parses search queries and matches tasks against them, e.g.
+ * "report project:Work tag:important priority>=2 due<2026-11-01 is:open"
+ */
+
+import { toDateKey, getDayKey } from './dates.js';
+import { getTagKey } from './tags.js';
+import { escapeHtml } from './utils.js';
+
+// Operators and the comparisons each one supports
+const OPERATORS = {
+    project: [':', '='],
+    tag: [':', '='],
+    priority: [':', '=', '>=', '<=', '>', '<'],
+    due: [':', '=', '>=', '<=', '>', '<'],
+    is: [':'],
+};
+
+// Priority names, indexed by priority
+const PRIORITY_NAMES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+/**
+ * Parse a search query
+ * Words and "quoted phrases" are searched for in task names, notes and subtask names.
+ * Recognized operators:
+ * - project:Work, project:"Side Hustle"
+ * - tag:important
+ * - priority>=2, priority:high (none, low, medium, high, urgent or 0-4)
+ * - due<2026-11-01, due:today, due<=tomorrow, due:none
+ * - is:open, is:completed, is:recurring
+ * @param {string} query - The text typed by the user
+ * @param {Object} options - Parsing options
+ * @param {Date} options.now - The current time (defaults to now), used for "today" and "tomorrow"
+ * @returns {Object} The search terms, the filters, and an error message or null
+ */
+export function parseSearchQuery(query, { now = new Date() } = {}) {
+    const search = { terms: [], filters: [], error: null };
+    const tokens = query.match(/\S+?[:=<>]+"[^"]*"?|"[^"]*"?|\S+/g) || [];
+    
+    tokens.forEach(token => {
+        const match = token.match(/^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i);
+        const field = match ? match[1].toLowerCase() : null;
+        
+        // Anything that isn't a known operator, like "10:30", is searched as text
+        if (!match || !OPERATORS[field]) {
+            const term = unquote(token).toLowerCase();
+            if (term !== '') {
+                search.terms.push(term);
+            }
+            return;
+        }
+        
+        const comparison = match[2];
+        const value = unquote(match[3]);
+        
+        try {
+            if (!OPERATORS[field].includes(comparison)) {
+                throw new Error(`${field} can't be used with ${comparison}`);
+            }
+            search.filters.push({ field, comparison, value: parseFilterValue(field, value, now) });
+        } catch (error) {
+            search.error = search.error || error.message;
+        }
+    });
+    
+    return search;
+}
+
+/**
+ * Check whether a task matches a parsed search
+ * @param {Object} task - The task
+ * @param {Object} search - The parsed search
+ * @returns {boolean} Whether the task matches every term and filter
+ */
+export function matchesSearch(task, search) {
+    const text = [task.name, task.notes || '', ...(task.subtasks || []).map(subtask => subtask.name)]
+        .join('\n')
+        .toLowerCase();
+    
+    return search.terms.every(term => text.includes(term)) &&
+        search.filters.every(filter => matchesFilter(task, filter));
+}
+
+/**
+ * Check whether a search has anything to search for
+ * @param {Object|null} search - The parsed search
+ * @returns {boolean} Whether the search has terms or filters
+ */
+export function isSearchActive(search) {
+    return Boolean(search) && (search.terms.length > 0 || search.filters.length > 0);
+}
+
+/**
+ * Escape text for HTML, wrapping the parts matching the search terms in <mark>
+ * @param {string} text - The text
+ * @param {Array} terms - The search terms (lowercase)
+ * @returns {string} The HTML
+ */
+export function highlightMatches(text, terms) {
+    const lowerText = text.toLowerCase();
+    const ranges = [];
+    
+    terms.forEach(term => {
+        let index = lowerText.indexOf(term);
+        while (index !== -1) {
+            ranges.push([index, index + term.length]);
+            index = lowerText.indexOf(term, index + term.length);
+        }
+    });
+    
+    // Merge overlapping matches so marks are never nested
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    });
+    
+    let html = '';
+    let position = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Find where the search terms matched outside a task's name
+ * @param {Object} task - The task
+ * @param {Array} terms - The search terms (lowercase)
+ * @returns {string|null} The matching subtask name or notes line, or null
+ */
+export function findMatchSnippet(task, terms) {
+    if (terms.length === 0) return null;
+    
+    const matches = text => terms.some(term => text.toLowerCase().includes(term));
+    if (matches(task.name)) return null;
+    
+    const subtask = (task.subtasks || []).find(s => matches(s.name));
+    if (subtask) return subtask.name;
+    
+    return (task.notes || '').split('\n').find(matches) || null;
+}
+
+/**
+ * Parse the value of an operator
+ * @param {string} field - The operator name
+ * @param {string} value - The value as typed
+ * @param {Date} now - The current time
+ * @returns {string|number|null} The value to compare with
+ * @throws {Error} If the value is invalid
+ */
+function parseFilterValue(field, value, now) {
+    if (value === '') {
+        throw new Error(`${field} needs a value`);
+    }
+    
+    switch (field) {
+        case 'project':
+            return value.toLowerCase();
+        case 'tag':
+            return getTagKey(value);
+        case 'priority': {
+            const lowerValue = value.toLowerCase();
+            const priority = /^\d$/.test(lowerValue) ? Number(lowerValue) : PRIORITY_NAMES.indexOf(lowerValue);
+            if (priority < 0 || priority >= PRIORITY_NAMES.length) {
+                throw new Error(`Priority must be 0-4 or ${PRIORITY_NAMES.join(', ')}`);
+            }
+            return priority;
+        }
+        case 'due':
+            return parseDueValue(value.toLowerCase(), now);
+        case 'is': {
+            const state = value.toLowerCase();
+            if (!['open', 'completed', 'done', 'recurring'].includes(state)) {
+                throw new Error('is: must be open, completed or recurring');
+            }
+            return state === 'done' ? 'completed' : state;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Parse the value of a due operator
+ * @param {string} value - The lowercase value
+ * @param {Date} now - The current time
+ * @returns {string|null} The date key, or null for "none"
+ * @throws {Error} If the value is not a date
+ */
+function parseDueValue(value, now) {
+    if (value === 'none') return null;
+    if (value === 'today') return getDayKey(0, now);
+    if (value === 'tomorrow') return getDayKey(1, now);
+    
+    const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+        throw new Error('due must be a date like 2026-11-01, today, tomorrow or none');
+    }
+    
+    return toDateKey(date);
+}
+
+/**
+ * Check whether a task matches one operator
+ * @param {Object} task - The task
+ * @param {Object} filter - The parsed operator (field, comparison, value)
+ * @returns {boolean} Whether the task matches
+ */
+function matchesFilter(task, { field, comparison, value }) {
+    switch (field) {
+        case 'project':
+            return (task.project || '').toLowerCase() === value;
+        case 'tag':
+            return (task.tags || []).includes(value);
+        case 'priority':
+            return compare(task.priority || 0, comparison, value);
+        case 'due':
+            // "due:none" finds tasks without a due date, which never match a date
+            if (value === null) {
+                return !task.dueDate && (comparison === ':' || comparison === '=');
+            }
+            return Boolean(task.dueDate) && compare(task.dueDate, comparison, value);
+        case 'is':
+            if (value === 'recurring') return Boolean(task.recurrence);
+            return value === 'completed' ? task.completed : !task.completed;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Compare two values
+ * @param {string|number} actual - The task's value
+ * @param {string} comparison - ':', '=', '>=', '<=', '>' or '<'
+ * @param {string|number} expected - The value from the query
+ * @returns {boolean} The result of the comparison
+ */
+function compare(actual, comparison, expected) {
+    switch (comparison) {
+        case '>=':
+            return actual >= expected;
+        case '<=':
+            return actual <= expected;
+        case '>':
+            return actual > expected;
+        case '<':
+            return actual < expected;
+        default:
+            return actual === expected;
+    }
+}
+
+/**
+ * Remove the quotes around a phrase
+ * @param {string} text - The text, maybe quoted
+ * @returns {string} The text without quotes
+ */
+function unquote(text) {
+    return text.replace(/^"|"$/g, '').trim();
+}
@@ -0,0 +1,212 @@
+/**
+ * Session Log Module
+ * Records every pomodoro and break run by the timer and answers date range queries
+ */
+
+import { saveState, getState, onExternalStateChange } from './storage.js';
+
+// Oldest entries are dropped beyond this many to keep localStorage small
+const MAX_SESSIONS = 5000;
+
+// Session log entries, oldest first
+let sessionLog = [];
+
+/**
+ * Initialize the session log module
+ */
+export function initSessionLog() {
+    // Load the session log from state
+    const state = getState();
+    sessionLog = state.sessionLog || [];
+    
+    // Pick up sessions logged by other tabs
+    onExternalStateChange((changedKeys, newState) => {
+        if (changedKeys.includes('sessionLog')) {
+            sessionLog = newState.sessionLog || [];
+        }
+    });
+}
+
+/**
+ * Start a new session entry
+ * @param {string|null} taskId - The ID of the task being worked on
+ * @param {string} mode - The timer mode ('pomodoro', 'shortBreak', or 'longBreak')
+ * @param {number} start - Timestamp (ms) when the session started
+ * @param {Object} options - Additional session details
+ * @param {boolean} options.strictMode - Whether strict mode locked the app during the session
+ * @returns {number} The ID of the new session
+ */
+export function startSession(taskId, mode, start, { strictMode = false } = {}) {
+    const session = {
+        id: start,
+        taskId,
+        mode,
+        start,
+        end: null,
+        focusedSeconds: 0, // Seconds the timer actually ran, excluding pauses
+        pauses: [], // { start, end } timestamps of each pause
+        interruptions: [], // { type, note, at } for each logged interruption
+        status: 'active', // 'active', 'completed', 'abandoned', or 'skipped'
+        strictMode,
+    };
+    
+    sessionLog.push(session);
+    if (sessionLog.length > MAX_SESSIONS) {
+        sessionLog = sessionLog.slice(-MAX_SESSIONS);
+    }
+    
+    saveState({ sessionLog });
+    return session.id;
+}
+
+/**
+ * Record a pause in a session
+ * @param {number} sessionId - The ID of the session
+ * @param {number} segmentStart - Timestamp (ms) when the timer last started running
+ * @param {number} pausedAt - Timestamp (ms) of the pause
+ */
+export function pauseSession(sessionId, segmentStart, pausedAt) {
+    const session = findActiveSession(sessionId);
+    if (!session) return;
+    
+    addRunningTime(session, segmentStart, pausedAt);
+    session.pauses.push({ start: pausedAt, end: null });
+    
+    saveState({ sessionLog });
+}
+
+/**
+ * Record that a paused session is running again
+ * @param {number} sessionId - The ID of the session
+ * @param {number} resumedAt - Timestamp (ms) when the timer resumed
+ */
+export function resumeSession(sessionId, resumedAt) {
+    const session = findActiveSession(sessionId);
+    if (!session) return;
+    
+    closeOpenPause(session, resumedAt);
+    
+    saveState({ sessionLog });
+}
+
+/**
+ * Finish a session
+ * @param {number} sessionId - The ID of the session
+ * @param {string} status - How the session ended ('completed', 'abandoned', or 'skipped')
+ * @param {number} end - Timestamp (ms) when the session ended
+ * @param {number|null} segmentStart - Timestamp (ms) when the timer last started running, or null if it was paused
+ */
+export function endSession(sessionId, status, end, segmentStart = null) {
+    const session = findActiveSession(sessionId);
+    if (!session) return;
+    
+    if (segmentStart) {
+        addRunningTime(session, segmentStart, end);
+    }
+    closeOpenPause(session, end);
+    
+    session.end = end;
+    session.status = status;
+    
+    saveState({ sessionLog });
+}
+
+/**
+ * Record an interruption of a session
+ * @param {number} sessionId - The ID of the session
+ * @param {Object} interruption - The interruption
+ * @param {string} interruption.type - 'internal' (self-inflicted) or 'external' (caused by others)
+ * @param {string} interruption.note - An optional note
+ * @param {number} interruption.at - Timestamp (ms) of the interruption
+ */
+export function addInterruption(sessionId, { type, note = '', at }) {
+    const session = findActiveSession(sessionId);
+    if (!session) return;
+    
+    if (!session.interruptions) {
+        session.interruptions = [];
+    }
+    session.interruptions.push({ type, note, at });
+    
+    saveState({ sessionLog });
+}
+
+/**
+ * Get a session by its ID
+ * @param {number} sessionId - The ID of the session
+ * @returns {Object|undefined} A copy of the session
+ */
+export function getSession(sessionId) {
+    const session = sessionLog.find(s => s.id === sessionId);
+    return session ? copySession(session) : undefined;
+}
+
+/**
+ * Query the session log
+ * Sessions are matched by their start time; both range bounds are inclusive.
+ * @param {Object} query - The query
+ * @param {Date|number} query.from - Earliest start time (optional)
+ * @param {Date|number} query.to - Latest start time (optional)
+ * @param {string} query.taskId - Only sessions for this task (optional)
+ * @param {string} query.mode - Only sessions in this timer mode (optional)
+ * @param {string} query.status - Only sessions with this status (optional)
+ * @returns {Array} Copies of the matching sessions, oldest first
+ */
+export function getSessions({ from = null, to = null, taskId, mode, status } = {}) {
+    const fromTime = from === null ? -Infinity : new Date(from).getTime();
+    const toTime = to === null ? Infinity : new Date(to).getTime();
+    
+    return sessionLog
+        .filter(session =>
+            session.start >= fromTime &&
+            session.start <= toTime &&
+            (taskId === undefined || session.taskId == taskId) &&
+            (mode === undefined || session.mode === mode) &&
+            (status === undefined || session.status === status)
+        )
+        .map(copySession);
+}
+
+/**
+ * Copy a session so callers cannot change the log
+ * @param {Object} session - The session
+ * @returns {Object} The copy
+ */
+function copySession(session) {
+    return {
+        ...session,
+        pauses: session.pauses.map(pause => ({ ...pause })),
+        interruptions: (session.interruptions || []).map(interruption => ({ ...interruption })),
+    };
+}
+
+/**
+ * Find a session that has not ended yet
+ * @param {number} sessionId - The ID of the session
+ * @returns {Object|undefined} The session
+ */
+function findActiveSession(sessionId) {
+    return sessionLog.find(s => s.id === sessionId && s.status === 'active');
+}
+
+/**
+ * Add the time between two timestamps to a session's focused time
+ * @param {Object} session - The session
+ * @param {number} from - Timestamp (ms) when the timer started running
+ * @param {number} to - Timestamp (ms) when the timer stopped running
+ */
+function addRunningTime(session, from, to) {
+    session.focusedSeconds += Math.max(0, Math.round((to - from) / 1000));
+}
+
+/**
+ * Close the session's last pause if it is still open
+ * @param {Object} session - The session
+ * @param {number} at - Timestamp (ms) when the pause ended
+ */
+function closeOpenPause(session, at) {
+    const lastPause = session.pauses[session.pauses.length - 1];
+    if (lastPause && lastPause.end === null) {
+        lastPause.end = at;
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * Settings Module
+ * Handles user-configurable settings, their validation and persistence,
+ * and the settings panel opened from the gear button
+ */
+
+import { saveState, getState, onExternalStateChange } from './storage.js';
+
+// Default settings (durations are in minutes)
+export const DEFAULT_SETTINGS = {
+    pomodoro: 25,
+    shortBreak: 5,
+    longBreak: 15,
+    longBreakInterval: 4, // After 4 pomodoros, take a long break
+    autoStartBreaks: false,
+    autoStartPomodoros: false,
+    autoStopAfterCycles: 0, // Stop auto-starting after this many pomodoros (0 = never)
+    alarmSound: 'bell',
+    alarmVolume: 70, // Volumes range from 0 to 100
+    tickingSound: false,
+    tickVolume: 30,
+    ambientSound: 'none',
+    ambientVolume: 40,
+    strictMode: false, // Lock the app to the current task while a pomodoro runs
+    strictPause: 'confirm', // 'confirm' or 'block' pausing in strict mode
+};
+
+// Validation rules for every setting: on/off, a choice, or a whole number in a range
+const SETTINGS_RULES = {
+    pomodoro: { label: 'Pomodoro length', min: 1, max: 120 },
+    shortBreak: { label: 'Short break length', min: 1, max: 60 },
+    longBreak: { label: 'Long break length', min: 1, max: 60 },
+    longBreakInterval: { label: 'Long break interval', min: 1, max: 12 },
+    autoStartBreaks: { label: 'Start breaks automatically', boolean: true },
+    autoStartPomodoros: { label: 'Start pomodoros automatically', boolean: true },
+    autoStopAfterCycles: { label: 'Cycles before stopping', min: 0, max: 99 },
+    alarmSound: { label: 'Alarm sound', options: ['bell', 'digital', 'chime', 'none'] },
+    alarmVolume: { label: 'Alarm volume', min: 0, max: 100 },
+    tickingSound: { label: 'Ticking during focus', boolean: true },
+    tickVolume: { label: 'Ticking volume', min: 0, max: 100 },
+    ambientSound: { label: 'Ambient sound', options: ['none', 'white', 'brown'] },
+    ambientVolume: { label: 'Ambient volume', min: 0, max: 100 },
+    strictMode: { label: 'Lock other tasks during a pomodoro', boolean: true },
+    strictPause: { label: 'Pausing in strict mode', options: ['confirm', 'block'] },
+};
+
+// Current settings
+let settings = { ...DEFAULT_SETTINGS };
+
+// Callbacks notified whenever the settings change
+const changeListeners = [];
+
+/**
+ * Initialize the settings module
+ */
+export function initSettings() {
+    // Load settings from state, falling back to defaults for missing or invalid values
+    const state = getState();
+    settings = sanitizeSettings(state.settings);
+    
+    // Apply settings changed in other tabs
+    onExternalStateChange((changedKeys, newState) => {
+        if (changedKeys.includes('settings')) {
+            settings = sanitizeSettings(newState.settings);
+            changeListeners.forEach(callback => callback(getSettings()));
+        }
+    });
+    
+    // Set up event listeners for the settings panel
+    setupSettingsEventListeners();
+}
+
+/**
+ * Get the current settings
+ * @returns {Object} A copy of the current settings
+ */
+export function getSettings() {
+    return { ...settings };
+}
+
+/**
+ * Get the configured duration of a timer mode
+ * @param {string} mode - The timer mode ('pomodoro', 'shortBreak', or 'longBreak')
+ * @returns {number} The duration in seconds
+ */
+export function getDurationSeconds(mode) {
+    return (settings[mode] || DEFAULT_SETTINGS[mode]) * 60;
+}
+
+/**
+ * Register a callback to be notified when the settings change
+ * @param {Function} callback - Called with the new settings
+ */
+export function onSettingsChange(callback) {
+    changeListeners.push(callback);
+}
+
+/**
+ * Validate a set of settings
+ * @param {Object} candidate - The settings to validate
+ * @returns {Array} A list of error messages (empty if valid)
+ */
+export function validateSettings(candidate) {
+    const errors = [];
+    
+    Object.entries(SETTINGS_RULES).forEach(([key, rule]) => {
+        const error = validateSetting(rule, candidate[key]);
+        if (error) {
+            errors.push(error);
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Validate one setting against its rule
+ * @param {Object} rule - The rule from SETTINGS_RULES
+ * @param {*} value - The value to validate
+ * @returns {string|null} The error message, or null if the value is valid
+ */
+function validateSetting(rule, value) {
+    if (rule.boolean) {
+        return typeof value === 'boolean' ? null : `${rule.label} must be on or off`;
+    }
+    if (rule.options) {
+        return rule.options.includes(value) ? null : `${rule.label} must be one of: ${rule.options.join(', ')}`;
+    }
+    if (!Number.isInteger(value)) {
+        return `${rule.label} must be a whole number`;
+    }
+    if (value < rule.min || value > rule.max) {
+        return `${rule.label} must be between ${rule.min} and ${rule.max}`;
+    }
+    return null;
+}
+
+/**
+ * Check stored settings, which may be outdated or edited by hand
+ * @param {Object} stored - The settings read from storage
+ * @returns {Object} The settings, with the default in place of each missing or invalid value
+ */
+function sanitizeSettings(stored) {
+    const sanitized = { ...DEFAULT_SETTINGS };
+    
+    Object.entries(SETTINGS_RULES).forEach(([key, rule]) => {
+        const value = stored?.[key];
+        if (validateSetting(rule, value) === null) {
+            sanitized[key] = value;
+        }
+    });
+    
+    return sanitized;
+}
+
+/**
+ * Update the settings, persist them and notify listeners
+ * @param {Object} changes - The settings to change
+ * @returns {Array} A list of validation errors (empty if the update was applied)
+ */
+export function updateSettings(changes) {
+    const candidate = { ...settings, ...changes };
+    const errors = validateSettings(candidate);
+    
+    // Keys without a rule aren't settings, so they aren't kept
+    if (errors.length === 0) {
+        settings = sanitizeSettings(candidate);
+        saveState({ settings });
+        changeListeners.forEach(callback => callback(getSettings()));
+    }
+    
+    return errors;
+}
+
+/**
+ * Set up event listeners for the settings panel
+ */
+function setupSettingsEventListeners() {
+    const settingsModal = document.querySelector('.settings-modal');
+    const settingsForm = settingsModal.querySelector('.settings-panel');
+    
+    // Open the panel from the gear button
+    document.querySelector('.settings-btn').addEventListener('click', openSettingsPanel);
+    
+    // Close without saving
+    settingsModal.querySelector('.close-settings-btn').addEventListener('click', closeSettingsPanel);
+    settingsModal.addEventListener('click', function(e) {
+        if (e.target === settingsModal) {
+            closeSettingsPanel();
+        }
+    });
+    settingsModal.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            closeSettingsPanel();
+        }
+    });
+    
+    // Fill the form with the default values (saved only on submit)
+    settingsModal.querySelector('.settings-reset-btn').addEventListener('click', () => {
+        fillSettingsForm(DEFAULT_SETTINGS);
+        showSettingsErrors([]);
+    });
+    
+    // Validate and save
+    settingsForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        
+        const errors = updateSettings(readSettingsForm());
+        showSettingsErrors(errors);
+        
+        if (errors.length === 0) {
+            closeSettingsPanel();
+        }
+    });
+}
+
+/**
+ * Open the settings panel filled with the current settings
+ */
+function openSettingsPanel() {
+    const settingsModal = document.querySelector('.settings-modal');
+    fillSettingsForm(settings);
+    showSettingsErrors([]);
+    settingsModal.style.display = 'flex';
+    settingsModal.querySelector('input, select').focus();
+}
+
+/**
+ * Close the settings panel
+ */
+function closeSettingsPanel() {
+    document.querySelector('.settings-modal').style.display = 'none';
+    document.querySelector('.settings-btn').focus();
+}
+
+/**
+ * Fill the settings form fields with the given values
+ * @param {Object} values - The settings values to show
+ */
+function fillSettingsForm(values) {
+    document.querySelectorAll('.settings-panel [name]').forEach(field => {
+        if (!(field.name in values)) return;
+        
+        if (field.type === 'checkbox') {
+            field.checked = Boolean(values[field.name]);
+        } else {
+            field.value = values[field.name];
+        }
+    });
+}
+
+/**
+ * Read the settings values from the form fields
+ * @returns {Object} The settings entered in the form
+ */
+function readSettingsForm() {
+    const values = {};
+    
+    document.querySelectorAll('.settings-panel [name]').forEach(field => {
+        if (field.type === 'checkbox') {
+            values[field.name] = field.checked;
+        } else if (field.type === 'number' || field.type === 'range') {
+            values[field.name] = field.value === '' ? NaN : Number(field.value);
+        } else {
+            values[field.name] = field.value;
+        }
+    });
+    
+    return values;
+}
+
+/**
+ * Show validation errors in the settings panel
+ * @param {Array} errors - The error messages to show
+ */
+function showSettingsErrors(errors) {
+    const errorContainer = document.querySelector('.settings-error');
+    errorContainer.innerHTML = errors.map(error => `<div>${error}</div>`).join('');
+    
+    // Highlight the invalid fields
+    document.querySelectorAll('.settings-panel [name]').forEach(field => {
+        const rule = SETTINGS_RULES[field.name];
+        const isInvalid = rule && errors.some(error => error.startsWith(rule.label));
+        field.classList.toggle('invalid', Boolean(isInvalid));
+        field.setAttribute('aria-invalid', isInvalid ? 'true' : 'false');
+    });
+}
@@ -0,0 +1,229 @@
+/**
+ * Sound Module
+ * Synthesizes alarm tones, the focus ticking sound and ambient noise with the Web Audio API
+ */
+
+import { getSettings, onSettingsChange } from './settings.js';
+
+// Alarm tones, described as notes (start and length in seconds)
+const ALARM_TONES = {
+    bell: [
+        { frequency: 880, type: 'sine', start: 0, length: 1.5 },
+        { frequency: 1760, type: 'sine', start: 0, length: 0.8 },
+        { frequency: 880, type: 'sine', start: 1.6, length: 1.5 },
+        { frequency: 1760, type: 'sine', start: 1.6, length: 0.8 },
+    ],
+    digital: [
+        { frequency: 1000, type: 'square', start: 0, length: 0.1 },
+        { frequency: 1000, type: 'square', start: 0.2, length: 0.1 },
+        { frequency: 1000, type: 'square', start: 0.4, length: 0.1 },
+        { frequency: 1000, type: 'square', start: 0.8, length: 0.1 },
+        { frequency: 1000, type: 'square', start: 1.0, length: 0.1 },
+        { frequency: 1000, type: 'square', start: 1.2, length: 0.1 },
+    ],
+    chime: [
+        { frequency: 1046.5, type: 'triangle', start: 0, length: 0.6 },
+        { frequency: 1318.5, type: 'triangle', start: 0.25, length: 0.6 },
+        { frequency: 1568, type: 'triangle', start: 0.5, length: 1.2 },
+    ],
+    none: [],
+};
+
+// Length of the generated noise loop in seconds
+const NOISE_BUFFER_SECONDS = 2;
+
+let audioContext = null;
+
+// Nodes of the sounds played during a focus session
+let tickInterval = null;
+let ambientSource = null;
+let ambientGain = null;
+let focusSoundsActive = false;
+
+/**
+ * Initialize the sound module
+ */
+export function initSound() {
+    // Restart running focus sounds so new volumes and sound choices apply
+    onSettingsChange(() => {
+        if (focusSoundsActive) {
+            stopFocusSounds();
+            startFocusSounds();
+        }
+    });
+    
+    // Browsers keep audio suspended until the user interacts with the page
+    document.addEventListener('click', resumeAudioContext);
+    
+    // Preview the alarm selected in the settings panel
+    const previewButton = document.querySelector('.sound-preview-btn');
+    if (previewButton) {
+        previewButton.addEventListener('click', () => {
+            const tone = document.querySelector('.settings-panel [name="alarmSound"]').value;
+            const volume = Number(document.querySelector('.settings-panel [name="alarmVolume"]').value);
+            playAlarm(tone, volume);
+        });
+    }
+}
+
+/**
+ * Play an alarm tone
+ * @param {string} tone - The alarm tone to play (defaults to the configured one)
+ * @param {number} volume - The volume from 0 to 100 (defaults to the configured one)
+ */
+export function playAlarm(tone = getSettings().alarmSound, volume = getSettings().alarmVolume) {
+    const notes = ALARM_TONES[tone] || [];
+    const context = getAudioContext();
+    if (!context || notes.length === 0 || volume <= 0) return;
+    
+    const output = createGain(context, volume / 100);
+    output.connect(context.destination);
+    
+    notes.forEach(note => playNote(context, output, note));
+}
+
+/**
+ * Start the ticking and ambient sounds configured for focus sessions
+ */
+export function startFocusSounds() {
+    const settings = getSettings();
+    const context = getAudioContext();
+    focusSoundsActive = true;
+    if (!context) return;
+    
+    if (settings.tickingSound && settings.tickVolume > 0 && !tickInterval) {
+        tickInterval = setInterval(() => playTick(settings.tickVolume), 1000);
+    }
+    
+    if (settings.ambientSound !== 'none' && settings.ambientVolume > 0 && !ambientSource) {
+        ambientGain = createGain(context, settings.ambientVolume / 100);
+        ambientGain.connect(context.destination);
+        
+        ambientSource = context.createBufferSource();
+        ambientSource.buffer = createNoiseBuffer(context, settings.ambientSound);
+        ambientSource.loop = true;
+        ambientSource.connect(ambientGain);
+        ambientSource.start();
+    }
+}
+
+/**
+ * Stop the ticking and ambient sounds
+ */
+export function stopFocusSounds() {
+    focusSoundsActive = false;
+    
+    clearInterval(tickInterval);
+    tickInterval = null;
+    
+    if (ambientSource) {
+        ambientSource.stop();
+        ambientSource.disconnect();
+        ambientGain.disconnect();
+        ambientSource = null;
+        ambientGain = null;
+    }
+}
+
+/**
+ * Get the shared audio context, creating it on first use
+ * @returns {AudioContext|null} The audio context, or null if Web Audio is unsupported
+ */
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    
+    if (!audioContext) {
+        audioContext = new AudioContextClass();
+    }
+    resumeAudioContext();
+    
+    return audioContext;
+}
+
+/**
+ * Resume the audio context if the browser suspended it
+ */
+function resumeAudioContext() {
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+/**
+ * Create a gain node with a fixed level
+ * @param {AudioContext} context - The audio context
+ * @param {number} level - The gain level from 0 to 1
+ * @returns {GainNode} The gain node
+ */
+function createGain(context, level) {
+    const gain = context.createGain();
+    gain.gain.value = level;
+    return gain;
+}
+
+/**
+ * Play a single note with a short attack and an exponential fade out
+ * @param {AudioContext} context - The audio context
+ * @param {AudioNode} output - The node to connect the note to
+ * @param {Object} note - The note (frequency, type, start and length)
+ */
+function playNote(context, output, note) {
+    const startTime = context.currentTime + note.start;
+    const endTime = startTime + note.length;
+    
+    const oscillator = context.createOscillator();
+    oscillator.type = note.type;
+    oscillator.frequency.value = note.frequency;
+    
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, startTime);
+    envelope.gain.exponentialRampToValueAtTime(1, startTime + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, endTime);
+    
+    oscillator.connect(envelope);
+    envelope.connect(output);
+    oscillator.start(startTime);
+    oscillator.stop(endTime);
+}
+
+/**
+ * Play a single clock tick
+ * @param {number} volume - The volume from 0 to 100
+ */
+function playTick(volume) {
+    const context = getAudioContext();
+    if (!context) return;
+    
+    const output = createGain(context, volume / 100);
+    output.connect(context.destination);
+    
+    playNote(context, output, { frequency: 1500, type: 'square', start: 0, length: 0.03 });
+}
+
+/**
+ * Generate a buffer of noise to be looped
+ * @param {AudioContext} context - The audio context
+ * @param {string} type - The noise color ('white' or 'brown')
+ * @returns {AudioBuffer} The generated noise
+ */
+function createNoiseBuffer(context, type) {
+    const length = context.sampleRate * NOISE_BUFFER_SECONDS;
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    
+    let lastValue = 0;
+    for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        
+        if (type === 'brown') {
+            // Integrate white noise and compensate for the lost loudness
+            lastValue = (lastValue + 0.02 * white) / 1.02;
+            data[i] = lastValue * 3.5;
+        } else {
+            data[i] = white;
+        }
+    }
+    
+    return buffer;
+}
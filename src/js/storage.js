@@ -1,6 +1,11 @@
 /**
  * Storage Module
- * Handles saving and loading application state from localStorage
+ * Handles saving and loading application state from localStorage,
+ * and reports changes saved by other tabs
+ *
+ * Tabs share one saved state. A save keeps the keys it doesn't change as another tab
+ * saved them, and merges tasks by ID: only the tasks and fields this tab changed since
+ * it last saw the saved state are written over what another tab saved in the meantime.
  */
 
 // The key used for storing app state in localStorage
@@ -9,13 +14,28 @@ const STORAGE_KEY = 'focus-todo-app-state';
 // Default app state
 const DEFAULT_STATE = {
     tasks: [],
+    projects: [],
+    tags: [],
+    viewModes: {},
+    reminderLog: [],
+    remindersSeenAt: 0,
+    firedReminders: {},
     timerState: {
         currentMode: 'pomodoro',
+        duration: 25 * 60,
         timeRemaining: 25 * 60,
         isRunning: false,
+        startedAt: null,
+        endsAt: null,
+        stopwatchElapsed: 0,
         currentTask: null,
-        completedPomodoros: 0
+        completedPomodoros: 0,
+        completedCycles: 0,
+        activeSessionId: null,
+        ownerTabId: null
     },
+    sessionLog: [],
+    settings: {},
     progressData: {
         totalTasks: 0,
         completedTasks: 0,
@@ -29,6 +49,15 @@ const DEFAULT_STATE = {
 // Current app state
 let appState = { ...DEFAULT_STATE };
 
+// The state as this tab last saw it saved, the base for merging tasks
+let lastSavedJson = null;
+
+// Callbacks notified when another tab saves the state
+const externalChangeListeners = [];
+
+// Other tabs write to the same key; the storage event reports their changes
+window.addEventListener('storage', handleStorageEvent);
+
 /**
  * Load the application state from localStorage
  * @returns {Object} The loaded application state
@@ -36,6 +65,7 @@ let appState = { ...DEFAULT_STATE };
 export function loadState() {
     try {
         const savedState = localStorage.getItem(STORAGE_KEY);
+        lastSavedJson = savedState;
         
         if (savedState) {
             // Parse the saved state
@@ -63,11 +93,30 @@ export function loadState() {
  */
 export function saveState(stateChanges = {}) {
     try {
-        // Update the app state with the changes
-        appState = { ...appState, ...stateChanges };
+        // Update the latest saved state with the changes, so that keys
+        // another tab saved in the meantime are not overwritten
+        const savedState = readSavedState();
+        const changes = { ...stateChanges };
+        
+        // Tasks another tab changed in the meantime keep its changes, except where this tab changed them too
+        if (changes.tasks && savedState.tasks) {
+            const baseTasks = lastSavedJson ? JSON.parse(lastSavedJson).tasks || [] : [];
+            const mergedTasks = mergeTasks(baseTasks, changes.tasks, savedState.tasks);
+            if (JSON.stringify(mergedTasks) !== JSON.stringify(changes.tasks)) {
+                changes.tasks = mergedTasks;
+                
+                // Show the merged tasks once the current change is done, like a change from another tab
+                setTimeout(() => {
+                    externalChangeListeners.forEach(callback => callback(['tasks'], getState()));
+                });
+            }
+        }
+        
+        appState = { ...appState, ...savedState, ...changes };
         
         // Save to localStorage
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(appState));
+        lastSavedJson = JSON.stringify(appState);
+        localStorage.setItem(STORAGE_KEY, lastSavedJson);
         
         console.log('State saved to localStorage');
     } catch (error) {
@@ -75,6 +124,120 @@ export function saveState(stateChanges = {}) {
     }
 }
 
+/**
+ * Register a callback to be notified when another tab saves the state
+ * @param {Function} callback - Called with the changed keys and the new state
+ */
+export function onExternalStateChange(callback) {
+    externalChangeListeners.push(callback);
+}
+
+/**
+ * Read the state currently saved in localStorage
+ * @returns {Object} The saved state (empty if nothing is saved)
+ */
+function readSavedState() {
+    const savedState = localStorage.getItem(STORAGE_KEY);
+    return savedState ? JSON.parse(savedState) : {};
+}
+
+/**
+ * Merge the tasks of this tab into the tasks another tab saved
+ * @param {Array} baseTasks - The tasks as this tab last saw them saved
+ * @param {Array} localTasks - The tasks of this tab
+ * @param {Array} savedTasks - The tasks saved now, possibly by another tab
+ * @returns {Array} The saved tasks with the tasks, fields and order this tab changed since the base
+ */
+function mergeTasks(baseTasks, localTasks, savedTasks) {
+    const baseById = new Map(baseTasks.map(task => [String(task.id), task]));
+    const localIds = new Set(localTasks.map(task => String(task.id)));
+    
+    // Tasks this tab deleted stay deleted
+    const merged = savedTasks
+        .filter(task => localIds.has(String(task.id)) || !baseById.has(String(task.id)))
+        .map(task => ({ ...task }));
+    const mergedById = new Map(merged.map(task => [String(task.id), task]));
+    
+    localTasks.forEach((task, index) => {
+        const id = String(task.id);
+        const baseTask = baseById.get(id);
+        const mergedTask = mergedById.get(id);
+        
+        if (!mergedTask) {
+            // Added by this tab, or edited here while another tab deleted it; both are kept,
+            // after the task before it in this tab
+            if (!baseTask || !isSameValue(baseTask, task)) {
+                const previousId = index > 0 ? String(localTasks[index - 1].id) : null;
+                const previousIndex = merged.findIndex(t => String(t.id) === previousId);
+                const position = previousId === null ? 0 : previousIndex + 1 || merged.length;
+                const copy = { ...task };
+                merged.splice(position, 0, copy);
+                mergedById.set(id, copy);
+            }
+            return;
+        }
+        
+        // Only the fields this tab changed are written, each as a whole
+        const fields = new Set([...Object.keys(task), ...Object.keys(baseTask || {})]);
+        fields.forEach(field => {
+            if (!baseTask || !isSameValue(baseTask[field], task[field])) {
+                if (task[field] === undefined) {
+                    delete mergedTask[field];
+                } else {
+                    mergedTask[field] = task[field];
+                }
+            }
+        });
+    });
+    
+    // A new order from this tab wins; tasks only the other tab knows keep their place after it
+    const baseOrder = baseTasks.map(task => String(task.id)).filter(id => localIds.has(id));
+    const localOrder = localTasks.map(task => String(task.id)).filter(id => baseById.has(id));
+    if (!isSameValue(baseOrder, localOrder)) {
+        const positions = new Map(localTasks.map((task, index) => [String(task.id), index]));
+        const getPosition = task => (positions.has(String(task.id)) ? positions.get(String(task.id)) : Infinity);
+        merged.sort((a, b) => getPosition(a) - getPosition(b));
+    }
+    
+    return merged;
+}
+
+/**
+ * Compare two saved values
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} True if both are saved the same way
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Handle a state change saved by another tab
+ * @param {StorageEvent} e - The storage event
+ */
+function handleStorageEvent(e) {
+    if (e.key !== STORAGE_KEY || !e.newValue) return;
+    
+    try {
+        const newState = JSON.parse(e.newValue);
+        lastSavedJson = e.newValue;
+        
+        // Only report the keys whose content actually changed
+        const changedKeys = Object.keys(newState).filter(key =>
+            JSON.stringify(newState[key]) !== JSON.stringify(appState[key])
+        );
+        
+        appState = { ...appState, ...newState };
+        
+        if (changedKeys.length > 0) {
+            externalChangeListeners.forEach(callback => callback(changedKeys, getState()));
+        }
+    } catch (error) {
+        console.error('Error reading state changed by another tab:', error);
+    }
+}
+
 /**
  * Get the current application state
  * @returns {Object} The current application state
@@ -90,6 +253,7 @@ export function clearState() {
     try {
         localStorage.removeItem(STORAGE_KEY);
         appState = { ...DEFAULT_STATE };
+        lastSavedJson = null;
         console.log('State cleared from localStorage');
     } catch (error) {
         console.error('Error clearing state from localStorage:', error);
@@ -0,0 +1,107 @@
+/**
+ * Sync Module
+ * Coordinates open tabs of the app over a BroadcastChannel, so that only one
+ * tab owns (completes and plays sounds for) the running timer
+ */
+
+// Name of the channel shared by all tabs of the app
+const CHANNEL_NAME = 'focus-todo-sync';
+
+// How long to wait for the timer owner to answer (ms)
+const OWNER_REPLY_TIMEOUT = 300;
+
+// Unique ID of this tab
+export const TAB_ID = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+let channel = null;
+
+// Answers whether this tab owns the running timer
+let isTimerOwner = () => false;
+
+// Callbacks notified when the owner of the timer closes
+const ownerLeftListeners = [];
+
+// Pending "who owns the timer" question, resolved when the owner answers
+let pendingOwnerQuery = null;
+
+/**
+ * Initialize the sync module
+ */
+export function initSync() {
+    if (!('BroadcastChannel' in window)) return;
+    
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', handleMessage);
+    
+    // Let the other tabs take over the timer when its owner closes
+    window.addEventListener('pagehide', () => {
+        if (isTimerOwner()) {
+            channel.postMessage({ type: 'timerOwnerLeft', tabId: TAB_ID });
+        }
+    });
+}
+
+/**
+ * Set the check used to answer whether this tab owns the timer
+ * @param {Function} check - Returns true if this tab owns the timer
+ */
+export function setTimerOwnerCheck(check) {
+    isTimerOwner = check;
+}
+
+/**
+ * Register a callback to be notified when the tab owning the timer closes
+ * @param {Function} callback - Called when the owner leaves
+ */
+export function onTimerOwnerLeft(callback) {
+    ownerLeftListeners.push(callback);
+}
+
+/**
+ * Ask the other tabs whether one of them owns the timer
+ * @returns {Promise<boolean>} Resolves to true if another tab answered as the owner
+ */
+export function findOtherTimerOwner() {
+    if (!channel) {
+        return Promise.resolve(false);
+    }
+    
+    return new Promise(resolve => {
+        const timeout = setTimeout(() => {
+            pendingOwnerQuery = null;
+            resolve(false);
+        }, OWNER_REPLY_TIMEOUT);
+        
+        pendingOwnerQuery = () => {
+            clearTimeout(timeout);
+            pendingOwnerQuery = null;
+            resolve(true);
+        };
+        
+        channel.postMessage({ type: 'whoOwnsTimer', tabId: TAB_ID });
+    });
+}
+
+/**
+ * Handle a message from another tab
+ * @param {MessageEvent} e - The message event
+ */
+function handleMessage(e) {
+    const message = e.data || {};
+    
+    switch (message.type) {
+        case 'whoOwnsTimer':
+            if (isTimerOwner()) {
+                channel.postMessage({ type: 'timerOwnerHere', tabId: TAB_ID });
+            }
+            break;
+        case 'timerOwnerHere':
+            if (pendingOwnerQuery) {
+                pendingOwnerQuery();
+            }
+            break;
+        case 'timerOwnerLeft':
+            ownerLeftListeners.forEach(callback => callback());
+            break;
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * Tag Module
+ * Keeps the registry of tags (display name and color) and renders them in the sidebar
+ *
+ * Tags are identified case-insensitively: tasks store a tag's key, its lowercased name,
+ * and the registry maps the key to the name as the user typed it. Renaming, merging and
+ * deleting tags are announced with the 'tagrenamed' and 'tagdeleted' events.
+ */
+
+import { saveState, getState, onExternalStateChange } from './storage.js';
+import { escapeHtml, isHexColor } from './utils.js';
+
+// Tags created on first run
+const DEFAULT_TAGS = [
+    { id: 1, name: 'Important', color: '#ff5c5c' },
+    { id: 2, name: 'Home', color: '#5fd86e' },
+];
+
+// Colors given to new tags in turn
+const TAG_COLORS = ['#4d8eff', '#ff9f43', '#9c6add', '#58c3ff', '#ffca40', '#ff6b9d'];
+
+// Longest allowed tag name
+const MAX_NAME_LENGTH = 30;
+
+// Tags, in the order they were created
+let tags = [];
+
+/**
+ * Initialize the tag module
+ */
+export function initTags() {
+    // Load tags from state, creating the defaults on first run
+    const state = getState();
+    tags = (state.tags || []).map(sanitizeTag);
+    if (tags.length === 0) {
+        tags = DEFAULT_TAGS.map(tag => ({ ...tag }));
+        saveState({ tags });
+    }
+    
+    setupTagListeners();
+    renderTagList();
+    
+    // Show tag changes made in other tabs
+    onExternalStateChange((changedKeys, newState) => {
+        if (changedKeys.includes('tags')) {
+            tags = (newState.tags || []).map(sanitizeTag);
+            renderTagList();
+        }
+    });
+}
+
+/**
+ * Get the key that identifies a tag
+ * @param {string} name - The tag name, with or without a leading #
+ * @returns {string} The key
+ */
+export function getTagKey(name) {
+    return normalizeTagName(name).toLowerCase();
+}
+
+/**
+ * Get all tags, sorted by name
+ * @returns {Array} Copies of the tags, each with its key
+ */
+export function getTags() {
+    return tags
+        .map(tag => ({ ...tag, key: getTagKey(tag.name) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a tag by its key or any casing of its name
+ * @param {string} name - The tag key or name
+ * @returns {Object|undefined} A copy of the tag, with its key
+ */
+export function findTag(name) {
+    const tag = findTagByKey(getTagKey(name));
+    return tag ? { ...tag, key: getTagKey(tag.name) } : undefined;
+}
+
+/**
+ * Make sure a tag exists, creating it if needed
+ * @param {string} name - The tag name, with or without a leading #
+ * @returns {string|null} The tag key, or null if the name is not a valid tag
+ */
+export function ensureTag(name) {
+    const tagName = normalizeTagName(name);
+    if (validateTagName(tagName)) return null;
+    
+    const key = tagName.toLowerCase();
+    if (!findTagByKey(key)) {
+        tags.push({ id: Date.now() + tags.length, name: tagName, color: TAG_COLORS[tags.length % TAG_COLORS.length] });
+        saveState({ tags });
+        renderTagList();
+    }
+    
+    return key;
+}
+
+/**
+ * Rename or recolor a tag
+ * Renaming a tag to the name of another tag merges the two.
+ * @param {string} key - The key of the tag
+ * @param {Object} fields - The fields to change (name, color)
+ * @returns {string|null} An error message, or null if the tag was updated
+ */
+export function updateTag(key, fields) {
+    const tag = findTagByKey(key);
+    if (!tag) return 'Tag not found';
+    
+    const newName = fields.name === undefined ? tag.name : normalizeTagName(fields.name);
+    const error = validateTagName(newName);
+    if (error) return error;
+    if (fields.color && !isHexColor(fields.color)) return 'Tag color must be a hex color such as #4d8eff';
+    
+    const newKey = newName.toLowerCase();
+    const target = findTagByKey(newKey);
+    
+    if (target && target !== tag) {
+        // Merge into the existing tag, which keeps its own name and color
+        tags = tags.filter(t => t !== tag);
+    } else {
+        tag.name = newName;
+        tag.color = fields.color || tag.color;
+    }
+    
+    saveState({ tags });
+    renderTagList();
+    
+    if (newKey !== key) {
+        document.dispatchEvent(new CustomEvent('tagrenamed', { detail: { from: key, to: newKey } }));
+    }
+    return null;
+}
+
+/**
+ * Delete a tag and remove it from all tasks
+ * @param {string} key - The key of the tag
+ */
+export function deleteTag(key) {
+    const tag = findTagByKey(key);
+    if (!tag) return;
+    
+    tags = tags.filter(t => t !== tag);
+    saveState({ tags });
+    renderTagList();
+    
+    document.dispatchEvent(new CustomEvent('tagdeleted', { detail: { key } }));
+}
+
+/**
+ * Render a task's tag as a colored label
+ * @param {string} key - The tag key
+ * @returns {string} The label HTML
+ */
+export function renderTagLabel(key) {
+    const tag = findTagByKey(key);
+    const name = tag ? tag.name : key;
+    const style = tag ? ` style="color: ${tag.color}; background-color: ${tag.color}1a"` : '';
+    return `<span class="tag" data-tag="${escapeHtml(key)}"${style}>#${escapeHtml(name)}</span>`;
+}
+
+/**
+ * Clean up a typed tag name: no leading # and no spaces
+ * @param {string} name - The typed name
+ * @returns {string} The tag name
+ */
+function normalizeTagName(name) {
+    return (name || '').trim().replace(/^#+/, '').replace(/\s+/g, '-');
+}
+
+/**
+ * Check a tag name
+ * @param {string} name - The normalized name
+ * @returns {string|null} An error message, or null if the name is valid
+ */
+function validateTagName(name) {
+    if (name === '') return 'Tag name is required';
+    if (name.length > MAX_NAME_LENGTH) return `Tag name must be at most ${MAX_NAME_LENGTH} characters`;
+    if (/[#,]/.test(name)) return 'Tag names can\'t contain # or commas';
+    return null;
+}
+
+/**
+ * Check a tag read from storage, which another tab or a hand edit may have written
+ * @param {Object} tag - The stored tag
+ * @param {number} index - The tag's position, which picks the color it would have been given
+ * @returns {Object} The tag, with a default color in place of an invalid one
+ */
+function sanitizeTag(tag, index) {
+    return isHexColor(tag.color) ? tag : { ...tag, color: TAG_COLORS[index % TAG_COLORS.length] };
+}
+
+/**
+ * Find a stored tag by key
+ * @param {string} key - The tag key
+ * @returns {Object|undefined} The tag
+ */
+function findTagByKey(key) {
+    return tags.find(tag => tag.name.toLowerCase() === key);
+}
+
+/**
+ * Set up the tag form and menus
+ */
+function setupTagListeners() {
+    const tagLists = document.querySelector('.tag-lists');
+    const form = tagLists.querySelector('.tag-form');
+    
+    tagLists.addEventListener('click', function(e) {
+        // Toggle the menu of a tag
+        const menuButton = e.target.closest('.tag-menu-btn');
+        if (menuButton) {
+            e.stopPropagation();
+            toggleTagMenu(menuButton.closest('.list-item'));
+            return;
+        }
+        
+        // Run a menu action
+        const action = e.target.closest('.tag-menu [data-action]');
+        if (action) {
+            e.stopPropagation();
+            handleTagAction(action.dataset.action, action.closest('.tag-menu').dataset.tag);
+        }
+    });
+    
+    // Close an open menu when clicking elsewhere
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.tag-menu')) {
+            closeTagMenu();
+        }
+    });
+    
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        
+        const key = this.dataset.tag;
+        const name = this.querySelector('[name="name"]').value;
+        const target = findTagByKey(getTagKey(name));
+        
+        // Renaming onto another tag merges them, which can't be undone
+        if (target && getTagKey(name) !== key &&
+            !confirm(`Merge #${findTagByKey(key).name} into #${target.name}? Tasks with either tag will have #${target.name}.`)) {
+            return;
+        }
+        
+        const error = updateTag(key, { name, color: this.querySelector('[name="color"]').value });
+        this.querySelector('.tag-form-error').textContent = error || '';
+        if (!error) {
+            closeTagForm();
+        }
+    });
+    
+    form.querySelector('.tag-form-cancel').addEventListener('click', closeTagForm);
+    form.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            closeTagForm();
+        }
+    });
+}
+
+/**
+ * Run an action from a tag menu
+ * @param {string} action - 'edit' or 'delete'
+ * @param {string} key - The key of the tag
+ */
+function handleTagAction(action, key) {
+    const tag = findTagByKey(key);
+    closeTagMenu();
+    if (!tag) return;
+    
+    switch (action) {
+        case 'edit':
+            openTagForm(tag);
+            break;
+        case 'delete':
+            if (confirm(`Delete the tag #${tag.name}? It will be removed from all tasks.`)) {
+                deleteTag(key);
+            }
+            break;
+    }
+}
+
+/**
+ * Open the tag form under a tag to rename or recolor it
+ * @param {Object} tag - The tag to edit
+ */
+function openTagForm(tag) {
+    const form = document.querySelector('.tag-form');
+    const key = getTagKey(tag.name);
+    
+    form.dataset.tag = key;
+    form.querySelector('[name="name"]').value = tag.name;
+    form.querySelector('[name="color"]').value = tag.color;
+    form.querySelector('.tag-form-error').textContent = '';
+    
+    const tagItem = Array.from(document.querySelectorAll('.tag-items .list-item')).find(item => item.dataset.tag === key);
+    if (tagItem) {
+        tagItem.after(form);
+    }
+    
+    form.style.display = 'block';
+    form.querySelector('[name="name"]').focus();
+}
+
+/**
+ * Close the tag form
+ */
+function closeTagForm() {
+    const form = document.querySelector('.tag-form');
+    form.style.display = 'none';
+    
+    // Park the form outside the rendered items so a re-render keeps it
+    document.querySelector('.tag-items').after(form);
+}
+
+/**
+ * Show or hide the menu of a tag
+ * @param {HTMLElement} tagItem - The tag's sidebar item
+ */
+function toggleTagMenu(tagItem) {
+    const openMenu = document.querySelector('.tag-menu');
+    const isOpenForItem = openMenu && openMenu.dataset.tag === tagItem.dataset.tag;
+    closeTagMenu();
+    if (isOpenForItem) return;
+    
+    const menu = document.createElement('div');
+    menu.classList.add('tag-menu');
+    menu.dataset.tag = tagItem.dataset.tag;
+    menu.innerHTML = `
+        <button data-action="edit"><i class="fa-solid fa-pen"></i> Rename or recolor</button>
+        <button data-action="delete" class="danger"><i class="fa-regular fa-trash-can"></i> Delete</button>
+    `;
+    
+    tagItem.after(menu);
+}
+
+/**
+ * Close the open tag menu, if any
+ */
+function closeTagMenu() {
+    const menu = document.querySelector('.tag-menu');
+    if (menu) {
+        menu.remove();
+    }
+}
+
+/**
+ * Render the tags in the sidebar
+ */
+function renderTagList() {
+    const tagItems = document.querySelector('.tag-items');
+    
+    // Keep the tag form, which may be open under a tag, out of the re-render
+    const form = document.querySelector('.tag-form');
+    if (tagItems.contains(form)) {
+        tagItems.after(form);
+    }
+    
+    // Keep the selected tags selected across re-renders
+    const activeKeys = Array.from(tagItems.querySelectorAll('.list-item.active')).map(item => item.dataset.tag);
+    
+    tagItems.innerHTML = getTags().map(tag => `
+        <div class="list-item${activeKeys.includes(tag.key) ? ' active' : ''}" data-tag="${escapeHtml(tag.key)}" title="Ctrl+click to combine tags">
+            <div class="list-icon"><i class="fa-solid fa-hashtag" style="color: ${tag.color}"></i></div>
+            <div class="list-name">${escapeHtml(tag.name)}</div>
+            <div class="list-count">0</div>
+            <div class="list-duration">0m</div>
+            <button class="tag-menu-btn" aria-label="Tag options"><i class="fa-solid fa-ellipsis"></i></button>
+        </div>
+    `).join('');
+    
+    // Let the task module fill in the counts and redraw task labels
+    document.dispatchEvent(new CustomEvent('taglistrendered'));
+}
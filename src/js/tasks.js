@@ -3,14 +3,45 @@
  * Handles all task-related operations: creating, updating, deleting, and organizing tasks
  */
 
-import { saveState, getState } from './storage.js';
-import { updateProgress } from './progress.js';
+import { saveState, getState, onExternalStateChange } from './storage.js';
+import { updateProgress, toPomodoroEquivalents } from './progress.js';
+import { getSettings } from './settings.js';
+import { parseQuickAdd } from './quickadd.js';
+import { escapeHtml } from './utils.js';
+import { ensureProject, getProjects, INBOX_PROJECT } from './projects.js';
+import { ensureTag, findTag, getTags, renderTagLabel } from './tags.js';
+import { recordCommand } from './history.js';
+import { getViewMode, setViewMode, renameViewMode, sortTasks, groupTasks } from './views.js';
+import { parseSearchQuery, matchesSearch, isSearchActive, highlightMatches, findMatchSnippet } from './search.js';
+import { getOpenBlockers, getTasksUnblockedBy, wouldCreateCycle } from './dependencies.js';
+import { getReminderTime, describeReminder, formatReminderTime, DEFAULT_DUE_TIME, MAX_MINUTES_BEFORE } from './reminders.js';
+import { createNextOccurrence, describeRecurrence, validateRecurrence } from './recurrence.js';
+import { parseDateKey, toDateKey, getDayKey, getWeekRange, isOverdue } from './dates.js';
 
 // Task data structure
 let tasks = [];
 let currentTaskId = 0;
 let selectedTaskId = null;
 
+// Strict mode lock: while locked, only the timer's task may be changed
+let strictLock = { locked: false, taskId: null };
+
+// Tags selected in the sidebar, and whether tasks need any or all of them
+let tagFilter = { keys: [], match: 'any' };
+
+// The parsed search query, or null when not searching
+let activeSearch = null;
+
+// IDs of the tasks selected for bulk actions, and where a Shift click range starts
+let multiSelectedIds = new Set();
+let selectionAnchorId = null;
+
+// ID of the task being dragged
+let draggedTaskId = null;
+
+// Most pomodoros a subtask can be estimated at
+const MAX_SUBTASK_POMODOROS = 20;
+
 /**
  * Get the current tasks array
  * @returns {Array} The current tasks
@@ -38,13 +69,25 @@ export function initTaskManagement() {
     // Set up event listeners for task-related actions
     setupTaskEventListeners();
     
+    // Set up drag and drop functionality
+    setupDragAndDrop();
+    
     // For development, if no tasks exist, create sample tasks
     if (tasks.length === 0) {
         createSampleTasks();
     }
     
-    // Render tasks to the UI
-    renderTasks();
+    // Every project and tag a task has must exist in the sidebar
+    tasks.forEach(task => {
+        task.project = ensureProject(task.project);
+        task.tags = normalizeTags(task.tags);
+    });
+    
+    // Tasks may still wait for tasks deleted before such links were removed
+    unlinkMissingBlockers();
+    
+    // Render the list selected in the sidebar, the way clicking it would
+    showSelectedList();
     
     // Update progress tracking
     updateProgress(tasks);
@@ -52,8 +95,11 @@ export function initTaskManagement() {
     // Set up click listeners for list items in sidebar
     setupSidebarListeners();
     
-    // Set up drag and drop functionality
-    setupDragAndDrop();
+    // Set up the search box
+    setupSearch();
+    
+    // Set up the grouping and sorting menu
+    setupViewMenu();
 }
 
 /**
@@ -67,21 +113,28 @@ function setupTaskEventListeners() {
     // Add task on Enter key press
     newTaskInput.addEventListener('keypress', function(e) {
         if (e.key === 'Enter' && this.value.trim() !== '') {
-            addTask(this.value.trim());
+            addQuickTask(this.value);
             this.value = '';
+            renderQuickAddPreview('');
         }
     });
     
     // Add task on add button click
     addTaskBtn.addEventListener('click', () => {
         if (newTaskInput.value.trim() !== '') {
-            addTask(newTaskInput.value.trim());
+            addQuickTask(newTaskInput.value);
             newTaskInput.value = '';
+            renderQuickAddPreview('');
         } else {
             newTaskInput.focus();
         }
     });
     
+    // Show what the quick-add syntax recognized while typing
+    newTaskInput.addEventListener('input', function() {
+        renderQuickAddPreview(this.value);
+    });
+    
     // Task checkboxes (for completed tasks)
     document.addEventListener('click', function(e) {
         const taskCheckbox = e.target.closest('.task-checkbox');
@@ -99,10 +152,38 @@ function setupTaskEventListeners() {
         const taskElement = e.target.closest('.task');
         if (taskElement && !e.target.closest('.task-checkbox')) {
             const taskId = taskElement.dataset.taskId;
+            
+            // Ctrl/Cmd click adds tasks to the bulk selection, Shift click adds a range
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                toggleMultiSelection(taskId, e.shiftKey);
+                return;
+            }
+            
+            clearMultiSelection();
             selectTask(taskId);
         }
     });
     
+    // Bulk selection and actions
+    setupBulkActions();
+    
+    // Alt+Up/Down moves the focused or selected task, Enter opens the focused task
+    document.addEventListener('keydown', function(e) {
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+        const focusedTask = e.target.closest ? e.target.closest('.task-groups .task') : null;
+        
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            const taskElement = focusedTask || (selectedTaskId && findTaskElement(selectedTaskId));
+            if (taskElement) {
+                e.preventDefault();
+                moveTaskByKeyboard(taskElement, e.key === 'ArrowUp' ? -1 : 1);
+            }
+        } else if (focusedTask && e.target === focusedTask && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            selectTask(focusedTask.dataset.taskId);
+        }
+    });
+    
     // Delete task button
     document.addEventListener('click', function(e) {
         if (e.target.closest('.delete-task-btn')) {
@@ -113,10 +194,9 @@ function setupTaskEventListeners() {
         }
     });
     
-    // Add subtask button
-    const addSubtaskBtn = document.querySelector('.add-subtask-btn');
-    if (addSubtaskBtn) {
-        addSubtaskBtn.addEventListener('click', () => {
+    // Add subtask button, which is re-rendered with the subtasks
+    document.addEventListener('click', function(e) {
+        if (e.target.closest('.add-subtask-btn')) {
             const subtaskInput = document.createElement('div');
             subtaskInput.classList.add('subtask-input');
             subtaskInput.innerHTML = `
@@ -145,37 +225,385 @@ function setupTaskEventListeners() {
                     subtaskInput.remove();
                 }
             });
-        });
-    }
+        }
+    });
+    
+    // Editable fields in the task details
+    setupTaskDetailsEditor();
+    
+    // Repeat editor in the task details
+    setupRepeatEditor();
+    
+    // Reminder editor in the task details
+    setupReminderEditor();
+    
+    // Move every overdue task to today from the Overdue section
+    document.addEventListener('click', function(e) {
+        if (e.target.closest('.reschedule-overdue-btn')) {
+            rescheduleOverdueTasks();
+        }
+    });
+    
+    // Subtask list in the task details
+    setupSubtaskEditor();
+    
+    // Dependencies in the task details
+    setupDependencyEditor();
     
     // Minimize details button
     const minimizeDetailsBtn = document.querySelector('.minimize-details');
     if (minimizeDetailsBtn) {
         minimizeDetailsBtn.addEventListener('click', closeTaskDetails);
     }
+    
+    // Strict mode locks editing to the task of the running pomodoro
+    document.addEventListener('strictlockchange', function(e) {
+        strictLock = e.detail;
+        updateStrictModeBanner();
+    });
+    
+    // Show task changes made in other tabs
+    onExternalStateChange((changedKeys, state) => {
+        if (changedKeys.includes('tasks')) {
+            replaceTasks(state.tasks || []);
+        }
+    });
+    
+    // Open the task of a reminder picked in the notification center
+    document.addEventListener('reminderopen', function(e) {
+        if (tasks.some(t => t.id == e.detail.taskId)) {
+            selectTask(e.detail.taskId);
+        }
+    });
+    
+    // Refresh when the timer credits stopwatch time or an abandoned pomodoro to a task
+    document.addEventListener('tasktimetracked', function(e) {
+        showCurrentList();
+        if (selectedTaskId == e.detail.taskId) {
+            selectTask(selectedTaskId);
+        }
+    });
+    
+    // Count the pomodoros the timer completes for a task
+    document.addEventListener('pomodorocompleted', function(e) {
+        const task = tasks.find(t => t.id == e.detail.taskId);
+        if (!task || !task.pomodoroQuantity) return;
+        
+        task.pomodoroQuantity.completed = (task.pomodoroQuantity.completed || 0) + 1;
+        saveState({ tasks });
+        
+        showCurrentList();
+        if (selectedTaskId == task.id) {
+            selectTask(selectedTaskId);
+        }
+    });
 }
 
 /**
  * Set up click listeners for sidebar list items
  */
 function setupSidebarListeners() {
-    const listItems = document.querySelectorAll('.list-item');
-    listItems.forEach(item => {
-        item.addEventListener('click', function() {
-            // Remove active class from all list items
-            listItems.forEach(li => li.classList.remove('active'));
-            
-            // Add active class to clicked item
-            this.classList.add('active');
-            
-            // Update task area header
-            const listName = this.querySelector('.list-name').textContent;
-            document.querySelector('.task-area-header h1').textContent = listName;
-            
-            // Filter tasks based on the selected list
-            filterTasks(listName);
+    // Project items are re-rendered, so listen on the whole sidebar
+    const sidebar = document.querySelector('.sidebar');
+    sidebar.addEventListener('click', function(e) {
+        const item = e.target.closest('.list-item');
+        if (!item) return;
+        
+        // Picking a list ends the search
+        clearSearch();
+        
+        // Tags can be combined with Ctrl/Cmd or Shift click
+        if (item.dataset.tag) {
+            const combine = (e.ctrlKey || e.metaKey || e.shiftKey) && tagFilter.keys.length > 0;
+            selectTagFilter(item.dataset.tag, combine);
+            return;
+        }
+        tagFilter.keys = [];
+        updateTagMatchButton();
+        
+        // Remove active class from all list items
+        sidebar.querySelectorAll('.list-item').forEach(li => li.classList.remove('active'));
+        
+        // Add active class to clicked item
+        item.classList.add('active');
+        
+        // Update task area header
+        const listName = item.querySelector('.list-name').textContent;
+        document.querySelector('.task-area-header h1').textContent = listName;
+        
+        // Filter tasks based on the selected list
+        filterTasks(listName);
+    });
+    
+    // Tasks dropped on a list take on its project, tag, due date or priority
+    sidebar.addEventListener('dragover', function(e) {
+        const item = e.target.closest('.list-item');
+        if (!draggedTaskId || !item || !getListDropChange(item)) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        item.classList.add('drop-target');
+    });
+    
+    sidebar.addEventListener('dragleave', function(e) {
+        const item = e.target.closest('.list-item');
+        if (item && !item.contains(e.relatedTarget)) {
+            item.classList.remove('drop-target');
+        }
+    });
+    
+    sidebar.addEventListener('drop', function(e) {
+        const item = e.target.closest('.list-item');
+        if (!draggedTaskId || !item) return;
+        
+        e.preventDefault();
+        item.classList.remove('drop-target');
+        
+        const drop = getListDropChange(item);
+        const task = tasks.find(t => t.id == draggedTaskId);
+        
+        // The list is re-rendered, so the dragged element may never see its dragend
+        draggedTaskId = null;
+        if (drop && task && canEditTask(task.id)) {
+            moveTask(task, `Moved "${task.name}" to ${drop.label}`, drop.change, null);
+        }
+    });
+    
+    // Project items are rendered without counts
+    document.addEventListener('projectlistrendered', updateSidebarCounts);
+    
+    // Tag items are rendered without counts, and tag colors may have changed
+    document.addEventListener('taglistrendered', function() {
+        updateSidebarCounts();
+        document.querySelectorAll('.task .tag[data-tag]').forEach(label => {
+            label.outerHTML = renderTagLabel(label.dataset.tag);
         });
     });
+    
+    // Switch between tasks having any or all of the selected tags
+    document.querySelector('.tag-match-btn').addEventListener('click', () => {
+        tagFilter.match = tagFilter.match === 'any' ? 'all' : 'any';
+        showTagFilter();
+    });
+    
+    // Follow tag renames and merges
+    document.addEventListener('tagrenamed', function(e) {
+        const { from, to } = e.detail;
+        replaceTaskTags(tags => tags.map(tag => (tag === from ? to : tag)));
+        renameViewMode(`#${from}`, `#${to}`);
+        
+        if (tagFilter.keys.includes(from)) {
+            tagFilter.keys = [...new Set(tagFilter.keys.map(key => (key === from ? to : key)))];
+            showTagFilter();
+        }
+    });
+    
+    // Remove deleted tags from the tasks
+    document.addEventListener('tagdeleted', function(e) {
+        const { key } = e.detail;
+        replaceTaskTags(tags => tags.filter(tag => tag !== key));
+        
+        if (tagFilter.keys.includes(key)) {
+            tagFilter.keys = tagFilter.keys.filter(k => k !== key);
+            if (tagFilter.keys.length > 0) {
+                showTagFilter();
+            } else {
+                document.querySelector('.task-area-header h1').textContent = 'All';
+                filterTasks('All');
+            }
+        }
+    });
+    
+    // Move tasks along when their project is renamed
+    document.addEventListener('projectrenamed', function(e) {
+        moveProjectTasks(e.detail.from, e.detail.to);
+        renameViewMode(e.detail.from, e.detail.to);
+        
+        const header = document.querySelector('.task-area-header h1');
+        if (header.textContent === e.detail.from) {
+            header.textContent = e.detail.to;
+            filterTasks(e.detail.to);
+        }
+    });
+    
+    // Reassign the tasks of a deleted project
+    document.addEventListener('projectdeleted', function(e) {
+        moveProjectTasks(e.detail.name, e.detail.reassignTo);
+        
+        const header = document.querySelector('.task-area-header h1');
+        if (header.textContent === e.detail.name) {
+            header.textContent = e.detail.reassignTo;
+            filterTasks(e.detail.reassignTo);
+            
+            // The deleted project's item is gone; select the one its tasks moved to
+            document.querySelectorAll('.project-items .list-item').forEach(item => {
+                item.classList.toggle('active', item.querySelector('.list-name').textContent === e.detail.reassignTo);
+            });
+        }
+    });
+}
+
+/**
+ * Set up the search box in the task area header
+ */
+function setupSearch() {
+    const searchInput = document.querySelector('.search-input');
+    
+    searchInput.addEventListener('input', function() {
+        runSearch(this.value);
+    });
+    
+    searchInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            this.value = '';
+            runSearch('');
+        }
+    });
+}
+
+/**
+ * Search all tasks, or go back to the selected list when the query is empty
+ * @param {string} query - The search query
+ */
+function runSearch(query) {
+    const searchInput = document.querySelector('.search-input');
+    const wasSearching = activeSearch !== null;
+    const search = parseSearchQuery(query);
+    
+    // Show mistakes in operators, and search with the rest of the query
+    searchInput.classList.toggle('invalid', search.error !== null);
+    searchInput.title = search.error || '';
+    
+    if (isSearchActive(search)) {
+        activeSearch = search;
+        document.querySelector('.task-area-header h1').textContent = 'Search';
+        renderTasks();
+    } else {
+        activeSearch = null;
+        if (wasSearching) {
+            showSelectedList();
+        }
+    }
+}
+
+/**
+ * Empty the search box without re-rendering
+ */
+function clearSearch() {
+    const searchInput = document.querySelector('.search-input');
+    searchInput.value = '';
+    searchInput.classList.remove('invalid');
+    searchInput.title = '';
+    activeSearch = null;
+}
+
+/**
+ * Show the tasks of the list selected in the sidebar
+ */
+function showSelectedList() {
+    if (tagFilter.keys.length > 0) {
+        showTagFilter();
+        return;
+    }
+    
+    const activeItem = document.querySelector('.sidebar .list-item.active');
+    const listName = activeItem ? activeItem.querySelector('.list-name').textContent : 'All';
+    document.querySelector('.task-area-header h1').textContent = listName;
+    filterTasks(listName);
+}
+
+/**
+ * Select a tag in the sidebar to filter the tasks by
+ * @param {string} key - The tag key
+ * @param {boolean} combine - Whether to add the tag to (or remove it from) the selected tags
+ */
+function selectTagFilter(key, combine) {
+    if (!combine) {
+        tagFilter.keys = [key];
+    } else if (!tagFilter.keys.includes(key)) {
+        tagFilter.keys = [...tagFilter.keys, key];
+    } else if (tagFilter.keys.length > 1) {
+        tagFilter.keys = tagFilter.keys.filter(k => k !== key);
+    }
+    
+    showTagFilter();
+}
+
+/**
+ * Show the tasks matching the selected tags
+ */
+function showTagFilter() {
+    const separator = tagFilter.match === 'all' ? ' and ' : ' or ';
+    document.querySelector('.task-area-header h1').textContent = tagFilter.keys
+        .map(key => `#${findTag(key)?.name || key}`)
+        .join(separator);
+    
+    document.querySelectorAll('.sidebar .list-item').forEach(item => {
+        item.classList.toggle('active', Boolean(item.dataset.tag) && tagFilter.keys.includes(item.dataset.tag));
+    });
+    updateTagMatchButton();
+    
+    renderTasks(tasks.filter(task => {
+        const taskTags = task.tags || [];
+        return tagFilter.match === 'all'
+            ? tagFilter.keys.every(key => taskTags.includes(key))
+            : tagFilter.keys.some(key => taskTags.includes(key));
+    }));
+}
+
+/**
+ * Show the any/all toggle only while several tags are selected
+ */
+function updateTagMatchButton() {
+    const matchButton = document.querySelector('.tag-match-btn');
+    matchButton.style.display = tagFilter.keys.length > 1 ? '' : 'none';
+    matchButton.textContent = tagFilter.match === 'all' ? 'Match all' : 'Match any';
+}
+
+/**
+ * Change the tags of every task
+ * @param {Function} change - Returns the new tags for a task's tags
+ */
+function replaceTaskTags(change) {
+    tasks.forEach(task => {
+        task.tags = [...new Set(change(task.tags || []))];
+    });
+    
+    saveState({ tasks });
+    renderTasks();
+    
+    if (selectedTaskId) {
+        selectTask(selectedTaskId);
+    }
+}
+
+/**
+ * Turn typed tag names into registered tag keys, without duplicates
+ * @param {Array} tagNames - The tag names
+ * @returns {Array} The tag keys
+ */
+function normalizeTags(tagNames) {
+    return [...new Set((tagNames || []).map(ensureTag).filter(Boolean))];
+}
+
+/**
+ * Move all tasks of a project to another project
+ * @param {string} fromProject - The name of the project the tasks are in
+ * @param {string} toProject - The name of the project to move them to
+ */
+function moveProjectTasks(fromProject, toProject) {
+    tasks.forEach(task => {
+        if (task.project === fromProject) {
+            task.project = toProject;
+        }
+    });
+    
+    saveState({ tasks });
+    renderTasks();
+    
+    if (selectedTaskId) {
+        selectTask(selectedTaskId);
+    }
 }
 
 /**
@@ -185,11 +613,12 @@ function setupSidebarListeners() {
  */
 function addTask(name, options = {}) {
     const newTask = {
-        id: Date.now(), // Use timestamp as unique ID
+        id: createTaskId(), // Use timestamp as unique ID
+        createdAt: Date.now(),
         name,
         completed: false,
         priority: options.priority || 0,
-        project: options.project || 'Inbox',
+        project: options.project || INBOX_PROJECT,
         dueDate: options.dueDate || null,
         estimatedTime: options.estimatedTime || 25, // minutes
         subtasks: options.subtasks || [],
@@ -198,10 +627,72 @@ function addTask(name, options = {}) {
         pomodoroQuantity: options.pomodoroQuantity || { completed: 0, total: 1 },
         ...options
     };
+    newTask.project = ensureProject(newTask.project);
+    newTask.tags = normalizeTags(newTask.tags);
     
-    tasks.push(newTask);
-    saveState({ tasks });
-    renderTasks();
+    runTaskCommand(`Added "${name}"`, () => {
+        tasks.push(newTask);
+        saveState({ tasks });
+        renderTasks();
+    });
+}
+
+/**
+ * Add a task from text typed in the new task input, with its inline syntax
+ * @param {string} text - The text, e.g. "Write report tomorrow 3pm #important @Work !!! 4p"
+ */
+function addQuickTask(text) {
+    const parsed = parseQuickAdd(text, { projects: getProjectNames() });
+    const options = {};
+    
+    if (parsed.dueDate) options.dueDate = parsed.dueDate;
+    if (parsed.dueTime) options.dueTime = parsed.dueTime;
+    if (parsed.tags.length > 0) options.tags = parsed.tags;
+    if (parsed.project) options.project = parsed.project;
+    if (parsed.priority !== null) options.priority = parsed.priority;
+    if (parsed.pomodoros !== null) {
+        options.pomodoroQuantity = { completed: 0, total: parsed.pomodoros };
+        options.estimatedTime = parsed.pomodoros * getSettings().pomodoro;
+    }
+    
+    addTask(parsed.name, options);
+}
+
+/**
+ * Show chips for the quick-add syntax recognized in the new task input
+ * @param {string} text - The text typed so far
+ */
+function renderQuickAddPreview(text) {
+    const preview = document.querySelector('.quick-add-preview');
+    const parsed = parseQuickAdd(text, { projects: getProjectNames() });
+    const chips = [];
+    
+    if (parsed.dueDate) {
+        const dueLabel = formatDate(parseDateKey(parsed.dueDate)) + (parsed.dueTime ? ` ${parsed.dueTime}` : '');
+        chips.push({ icon: 'fa-calendar', label: dueLabel });
+    }
+    if (parsed.project) {
+        chips.push({ icon: 'fa-folder', label: parsed.project });
+    }
+    parsed.tags.forEach(tag => chips.push({ icon: 'fa-hashtag', label: findTag(tag)?.name || tag }));
+    if (parsed.priority !== null) {
+        chips.push({ icon: 'fa-flag', label: `Priority ${parsed.priority}` });
+    }
+    if (parsed.pomodoros !== null) {
+        chips.push({ icon: 'fa-stopwatch', label: `${parsed.pomodoros} pomodoro${parsed.pomodoros === 1 ? '' : 's'}` });
+    }
+    
+    preview.innerHTML = chips.map(chip => `
+        <span class="quick-add-chip"><i class="fa-solid ${chip.icon}"></i> ${escapeHtml(chip.label)}</span>
+    `).join('');
+}
+
+/**
+ * Get the names of the projects offered for new and edited tasks
+ * @returns {Array} The names of the projects that are not archived
+ */
+function getProjectNames() {
+    return getProjects().map(project => project.name);
 }
 
 /**
@@ -209,12 +700,56 @@ function addTask(name, options = {}) {
  * @param {string} taskId - The ID of the task to toggle
  */
 function toggleTaskCompletion(taskId) {
+    if (!canEditTask(taskId)) return;
+    
     const task = tasks.find(t => t.id == taskId);
     if (task) {
-        task.completed = !task.completed;
-        saveState({ tasks });
-        renderTasks();
+        // Tasks waiting only for this one are unblocked by completing it
+        const unblocked = task.completed ? [] : getTasksUnblockedBy(task, tasks);
+        let label = `${task.completed ? 'Reopened' : 'Completed'} "${task.name}"`;
+        if (unblocked.length > 0) {
+            label += `, unblocking ${unblocked.length === 1 ? `"${unblocked[0].name}"` : `${unblocked.length} tasks`}`;
+        }
+        
+        runTaskCommand(label, () => {
+            task.completed = !task.completed;
+            
+            // Completing an occurrence of a series schedules the next one
+            if (task.completed && task.recurrence) {
+                spawnNextOccurrence(task);
+            }
+            
+            saveState({ tasks });
+            renderTasks();
+        });
+    }
+}
+
+/**
+ * Add the next occurrence of a recurring task to the task list
+ * @param {Object} task - The completed occurrence
+ */
+function spawnNextOccurrence(task) {
+    // Completing the same occurrence again must not start a second copy of the series
+    if (task.recurrence.nextOccurrenceId && tasks.some(t => t.id == task.recurrence.nextOccurrenceId)) {
+        return;
     }
+    
+    const nextTask = createNextOccurrence(task, createTaskId());
+    if (!nextTask) return;
+    nextTask.createdAt = Date.now();
+    
+    tasks.push(nextTask);
+    task.recurrence = { ...task.recurrence, nextOccurrenceId: nextTask.id };
+}
+
+/**
+ * Fill the tag suggestions of the tag inputs with the existing tags
+ */
+function renderTagOptions() {
+    document.querySelector('#tag-options').innerHTML = getTags()
+        .map(tag => `<option value="${escapeHtml(tag.name)}"></option>`)
+        .join('');
 }
 
 /**
@@ -223,11 +758,21 @@ function toggleTaskCompletion(taskId) {
  * @param {Object} updatedFields - The fields to update
  */
 function updateTask(taskId, updatedFields) {
+    if (!canEditTask(taskId)) return;
+    
     const taskIndex = tasks.findIndex(t => t.id == taskId);
     if (taskIndex !== -1) {
-        tasks[taskIndex] = { ...tasks[taskIndex], ...updatedFields };
-        saveState({ tasks });
-        renderTasks();
+        runTaskCommand(`Edited "${tasks[taskIndex].name}"`, () => {
+            tasks[taskIndex] = { ...tasks[taskIndex], ...updatedFields };
+            if ('project' in updatedFields) {
+                tasks[taskIndex].project = ensureProject(updatedFields.project);
+            }
+            if ('tags' in updatedFields) {
+                tasks[taskIndex].tags = normalizeTags(updatedFields.tags);
+            }
+            saveState({ tasks });
+            renderTasks();
+        });
     }
 }
 
@@ -236,41 +781,549 @@ function updateTask(taskId, updatedFields) {
  * @param {string} taskId - The ID of the task to delete
  */
 function deleteTask(taskId) {
-    tasks = tasks.filter(t => t.id != taskId);
-    saveState({ tasks });
-    renderTasks();
+    if (!canEditTask(taskId)) return;
+    
+    const task = tasks.find(t => t.id == taskId);
+    if (!task) return;
+    
+    runTaskCommand(`Deleted "${task.name}"`, () => {
+        tasks = tasks.filter(t => t.id != taskId);
+        unlinkMissingBlockers();
+        notifyTasksReplaced();
+        saveState({ tasks });
+        renderTasks();
+    });
 }
 
 /**
- * Select a task to show its details
- * @param {string} taskId - The ID of the task to select
+ * Check whether strict mode allows changing a task
+ * @param {string} taskId - The ID of the task
+ * @returns {boolean} True if the task may be changed
  */
-function selectTask(taskId) {
-    selectedTaskId = taskId;
-    const task = tasks.find(t => t.id == taskId);
-    
-    if (!task) return;
+function canEditTask(taskId) {
+    if (!strictLock.locked || (strictLock.taskId !== null && taskId == strictLock.taskId)) {
+        return true;
+    }
     
-    // Update task details sidebar
-    const taskDetails = document.querySelector('.task-details');
-    taskDetails.style.display = 'block';
+    flashStrictModeBanner();
+    return false;
+}
+
+/**
+ * Show or hide the strict mode banner
+ */
+function updateStrictModeBanner() {
+    const banner = document.querySelector('.strict-mode-banner');
+    banner.style.display = strictLock.locked ? 'block' : 'none';
+    
+    if (strictLock.locked) {
+        const task = tasks.find(t => t.id == strictLock.taskId);
+        banner.querySelector('.strict-mode-text').textContent = task
+            ? `Strict mode: only "${task.name}" can be changed until the pomodoro ends`
+            : 'Strict mode: tasks can\'t be changed until the pomodoro ends';
+    }
+}
+
+/**
+ * Draw attention to the strict mode banner after a blocked change
+ */
+function flashStrictModeBanner() {
+    const banner = document.querySelector('.strict-mode-banner');
+    banner.classList.remove('flash');
+    
+    // Force a reflow so the animation restarts
+    void banner.offsetWidth;
+    banner.classList.add('flash');
+}
+
+/**
+ * Set up the select-all buttons of task groups and the bulk action bar
+ */
+function setupBulkActions() {
+    const bulkBar = document.querySelector('.bulk-action-bar');
+    
+    // Select or deselect all tasks in a group
+    document.addEventListener('click', function(e) {
+        const selectGroupButton = e.target.closest('.select-group-btn');
+        if (!selectGroupButton) return;
+        
+        const groupIds = Array.from(selectGroupButton.closest('.task-group').querySelectorAll('.task'))
+            .map(taskEl => taskEl.dataset.taskId);
+        const allSelected = groupIds.every(id => multiSelectedIds.has(id));
+        
+        groupIds.forEach(id => {
+            if (allSelected) {
+                multiSelectedIds.delete(id);
+            } else {
+                multiSelectedIds.add(id);
+            }
+        });
+        renderMultiSelection();
+    });
+    
+    bulkBar.addEventListener('click', function(e) {
+        const button = e.target.closest('.bulk-btn');
+        if (!button) return;
+        
+        const tagInput = bulkBar.querySelector('.bulk-tag-input');
+        const tagName = tagInput.value.trim();
+        
+        switch (button.dataset.action) {
+            case 'complete':
+                applyBulkChange(count => `Completed ${count}`, task => {
+                    if (task.completed) return;
+                    task.completed = true;
+                    if (task.recurrence) {
+                        spawnNextOccurrence(task);
+                    }
+                });
+                break;
+            case 'add-tag': {
+                const key = tagName !== '' ? ensureTag(tagName) : null;
+                if (!key) return;
+                applyBulkChange(count => `Tagged ${count} with #${findTag(key).name}`, task => {
+                    task.tags = [...new Set([...(task.tags || []), key])];
+                });
+                tagInput.value = '';
+                break;
+            }
+            case 'remove-tag': {
+                const tag = tagName !== '' ? findTag(tagName) : null;
+                if (!tag) return;
+                applyBulkChange(count => `Removed #${tag.name} from ${count}`, task => {
+                    task.tags = (task.tags || []).filter(key => key !== tag.key);
+                });
+                tagInput.value = '';
+                break;
+            }
+            case 'delete':
+                deleteMultiSelectedTasks();
+                break;
+            case 'clear':
+                clearMultiSelection();
+                break;
+        }
+    });
+    
+    bulkBar.querySelector('.bulk-project-select').addEventListener('change', function() {
+        const project = this.value;
+        this.value = '';
+        if (project === '') return;
+        
+        applyBulkChange(count => `Moved ${count} to ${project}`, task => {
+            task.project = ensureProject(project);
+        });
+    });
+    
+    bulkBar.querySelector('.bulk-due-input').addEventListener('change', function() {
+        const dueDate = this.value || null;
+        this.value = '';
+        
+        const describe = dueDate
+            ? count => `Rescheduled ${count} to ${formatDate(parseDateKey(dueDate))}`
+            : count => `Cleared the due date of ${count}`;
+        applyBulkChange(describe, task => {
+            task.dueDate = dueDate;
+            if (!dueDate) {
+                delete task.dueTime;
+            }
+        });
+    });
+    
+    bulkBar.querySelector('.bulk-priority-select').addEventListener('change', function() {
+        const priority = this.value;
+        this.value = '';
+        if (priority === '') return;
+        
+        const priorityName = this.options[Number(priority) + 1].text;
+        applyBulkChange(count => `Set the priority of ${count} to ${priorityName}`, task => {
+            task.priority = Number(priority);
+        });
+    });
+    
+    // Escape clears the selection
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && multiSelectedIds.size > 0 && !e.target.closest('input, textarea, select')) {
+            clearMultiSelection();
+        }
+    });
+}
+
+/**
+ * Add a task to the bulk selection, or remove it
+ * @param {string} taskId - The ID of the clicked task
+ * @param {boolean} range - Whether to select every task from the last clicked one
+ */
+function toggleMultiSelection(taskId, range) {
+    // The task open in the details starts the selection
+    if (multiSelectedIds.size === 0 && selectedTaskId && findTaskElement(selectedTaskId)) {
+        multiSelectedIds.add(String(selectedTaskId));
+        selectionAnchorId = String(selectedTaskId);
+    }
+    
+    const visibleIds = Array.from(document.querySelectorAll('.task-groups .task')).map(taskEl => taskEl.dataset.taskId);
+    const anchorIndex = visibleIds.indexOf(selectionAnchorId);
+    
+    if (range && anchorIndex !== -1) {
+        const clickedIndex = visibleIds.indexOf(taskId);
+        visibleIds
+            .slice(Math.min(anchorIndex, clickedIndex), Math.max(anchorIndex, clickedIndex) + 1)
+            .forEach(id => multiSelectedIds.add(id));
+    } else if (multiSelectedIds.has(taskId)) {
+        multiSelectedIds.delete(taskId);
+    } else {
+        multiSelectedIds.add(taskId);
+    }
+    
+    selectionAnchorId = taskId;
+    renderMultiSelection();
+}
+
+/**
+ * Empty the bulk selection
+ */
+function clearMultiSelection() {
+    if (multiSelectedIds.size === 0) return;
+    
+    multiSelectedIds.clear();
+    selectionAnchorId = null;
+    renderMultiSelection();
+}
+
+/**
+ * Find the element of a task in the task list
+ * @param {string} taskId - The ID of the task
+ * @returns {HTMLElement|undefined} The task element
+ */
+function findTaskElement(taskId) {
+    return Array.from(document.querySelectorAll('.task-groups .task')).find(taskEl => taskEl.dataset.taskId == taskId);
+}
+
+/**
+ * Mark the tasks in the bulk selection and show the bulk action bar
+ */
+function renderMultiSelection() {
+    // Tasks that are no longer shown can't stay selected
+    const taskElements = Array.from(document.querySelectorAll('.task-groups .task'));
+    const visibleIds = new Set(taskElements.map(taskEl => taskEl.dataset.taskId));
+    multiSelectedIds = new Set([...multiSelectedIds].filter(id => visibleIds.has(id)));
+    
+    taskElements.forEach(taskEl => {
+        taskEl.classList.toggle('multi-selected', multiSelectedIds.has(taskEl.dataset.taskId));
+    });
+    
+    document.querySelectorAll('.task-group').forEach(group => {
+        const groupTaskElements = Array.from(group.querySelectorAll('.task'));
+        const allSelected = groupTaskElements.length > 0 && groupTaskElements.every(taskEl => multiSelectedIds.has(taskEl.dataset.taskId));
+        group.querySelector('.select-group-btn')?.classList.toggle('active', allSelected);
+    });
+    
+    const bulkBar = document.querySelector('.bulk-action-bar');
+    bulkBar.style.display = multiSelectedIds.size > 0 ? 'flex' : 'none';
+    if (multiSelectedIds.size === 0) return;
+    
+    bulkBar.querySelector('.bulk-count').textContent = `${formatTaskCount(multiSelectedIds.size)} selected`;
+    bulkBar.querySelector('.bulk-project-select').innerHTML = '<option value="">Move to...</option>' + getProjectNames()
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    renderTagOptions();
+}
+
+/**
+ * Change every task in the bulk selection as one undoable change
+ * @param {Function} describe - Describes the change for the undo toast, given the number of tasks
+ * @param {Function} change - Changes one task
+ */
+function applyBulkChange(describe, change) {
+    const selectedTasks = tasks.filter(task => multiSelectedIds.has(String(task.id)));
+    if (selectedTasks.length === 0 || !selectedTasks.every(task => canEditTask(task.id))) return;
+    
+    runTaskCommand(describe(formatTaskCount(selectedTasks.length)), () => {
+        selectedTasks.forEach(change);
+        saveState({ tasks });
+        renderTasks();
+    });
+    
+    if (selectedTaskId && multiSelectedIds.has(String(selectedTaskId))) {
+        selectTask(selectedTaskId);
+    }
+}
+
+/**
+ * Delete every task in the bulk selection as one undoable change
+ */
+function deleteMultiSelectedTasks() {
+    const selectedTasks = tasks.filter(task => multiSelectedIds.has(String(task.id)));
+    if (selectedTasks.length === 0 || !selectedTasks.every(task => canEditTask(task.id))) return;
+    
+    const deletingSelectedTask = selectedTaskId && multiSelectedIds.has(String(selectedTaskId));
+    
+    runTaskCommand(`Deleted ${formatTaskCount(selectedTasks.length)}`, () => {
+        tasks = tasks.filter(task => !multiSelectedIds.has(String(task.id)));
+        unlinkMissingBlockers();
+        notifyTasksReplaced();
+        saveState({ tasks });
+        renderTasks();
+    });
+    
+    if (deletingSelectedTask) {
+        closeTaskDetails();
+    }
+}
+
+/**
+ * Format a number of tasks
+ * @param {number} count - The number of tasks
+ * @returns {string} The count, e.g. "3 tasks"
+ */
+function formatTaskCount(count) {
+    return `${count} task${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Get an ID for a new task that no other task has
+ * @returns {number} The ID
+ */
+function createTaskId() {
+    let id = Date.now();
+    while (tasks.some(t => t.id == id)) {
+        id++;
+    }
+    return id;
+}
+
+/**
+ * Run a change to the tasks and record it so it can be undone
+ * @param {string} label - What the change did, shown in the undo toast
+ * @param {Function} change - Changes the tasks
+ */
+function runTaskCommand(label, change) {
+    const before = copyTasks(tasks);
+    change();
+    const after = copyTasks(tasks);
+    
+    const diff = diffTasks(before, after);
+    if (!diff) return;
+    
+    recordCommand({
+        label,
+        undo: () => applyTaskDiff(diff, 'before'),
+        redo: () => applyTaskDiff(diff, 'after'),
+    });
+}
+
+/**
+ * Copy tasks so later changes to them don't affect the copy
+ * @param {Array} tasksToCopy - The tasks
+ * @returns {Array} The copies
+ */
+function copyTasks(tasksToCopy) {
+    return JSON.parse(JSON.stringify(tasksToCopy));
+}
+
+/**
+ * Find the tasks and fields that a change added, removed or edited
+ * Only those are restored by undo, so other changes made since, such as time
+ * tracked by the timer or edits in another tab, are kept.
+ * @param {Array} before - Copies of the tasks before the change
+ * @param {Array} after - Copies of the tasks after the change
+ * @returns {Object|null} The changes by task ID and the task order before and after
+ *     if it changed, or null if nothing changed
+ */
+function diffTasks(before, after) {
+    const beforeById = new Map(before.map(task => [String(task.id), task]));
+    const afterById = new Map(after.map(task => [String(task.id), task]));
+    const changes = {};
+    
+    new Set([...beforeById.keys(), ...afterById.keys()]).forEach(id => {
+        const beforeTask = beforeById.get(id);
+        const afterTask = afterById.get(id);
+        
+        // Added and removed tasks are kept whole
+        if (!beforeTask || !afterTask) {
+            changes[id] = { before: beforeTask || null, after: afterTask || null };
+            return;
+        }
+        
+        // Edited tasks keep the fields that changed
+        const fields = { before: {}, after: {} };
+        new Set([...Object.keys(beforeTask), ...Object.keys(afterTask)]).forEach(field => {
+            if (JSON.stringify(beforeTask[field]) !== JSON.stringify(afterTask[field])) {
+                fields.before[field] = beforeTask[field];
+                fields.after[field] = afterTask[field];
+            }
+        });
+        if (Object.keys(fields.before).length > 0) {
+            changes[id] = { ...fields, edited: true };
+        }
+    });
+    
+    // Compare the order of the tasks that exist on both sides
+    const beforeOrder = before.map(task => String(task.id));
+    const afterOrder = after.map(task => String(task.id));
+    const keptBefore = beforeOrder.filter(id => afterById.has(id));
+    const keptAfter = afterOrder.filter(id => beforeById.has(id));
+    const orderChanged = keptBefore.some((id, index) => id !== keptAfter[index]);
+    
+    if (Object.keys(changes).length === 0 && !orderChanged) return null;
+    
+    // Restored tasks go back to where they were
+    const addedOrRemoved = Object.values(changes).some(change => !change.edited);
+    
+    return {
+        changes,
+        order: orderChanged || addedOrRemoved ? { before: beforeOrder, after: afterOrder } : null,
+    };
+}
+
+/**
+ * Put the changed tasks back the way they were before or after a change
+ * @param {Object} diff - The change, from diffTasks
+ * @param {string} side - 'before' to undo or 'after' to redo
+ * @returns {boolean} False if strict mode doesn't allow the change
+ */
+function applyTaskDiff(diff, side) {
+    const ids = Object.keys(diff.changes);
+    
+    // Strict mode only allows changing the timer's task
+    if (strictLock.locked && (diff.order || ids.some(id => id != strictLock.taskId))) {
+        flashStrictModeBanner();
+        return false;
+    }
+    
+    const newTasks = [...tasks];
+    ids.forEach(id => {
+        const change = diff.changes[id];
+        const values = copyTasks([change[side]])[0];
+        const index = newTasks.findIndex(t => String(t.id) === id);
+        
+        if (change.edited) {
+            // Fields missing on that side are removed again
+            if (index === -1) return;
+            const task = { ...newTasks[index] };
+            Object.keys(change[side]).forEach(field => {
+                if (change[side][field] === undefined) {
+                    delete task[field];
+                } else {
+                    task[field] = values[field];
+                }
+            });
+            newTasks[index] = task;
+        } else if (values === null) {
+            if (index !== -1) newTasks.splice(index, 1);
+        } else if (index !== -1) {
+            newTasks[index] = values;
+        } else {
+            newTasks.push(values);
+        }
+    });
+    
+    // Restore the order, keeping tasks added since at the end
+    if (diff.order) {
+        const positions = new Map(diff.order[side].map((id, index) => [id, index]));
+        const getPosition = task => (positions.has(String(task.id)) ? positions.get(String(task.id)) : Infinity);
+        newTasks.sort((a, b) => getPosition(a) - getPosition(b));
+    }
+    
+    saveState({ tasks: newTasks });
+    replaceTasks(newTasks);
+    return true;
+}
+
+/**
+ * Replace all tasks with tasks saved by another tab
+ * @param {Array} newTasks - The tasks to show
+ */
+function replaceTasks(newTasks) {
+    tasks = newTasks;
+    notifyTasksReplaced();
+    renderTasks();
+    
+    // Refresh or close the details of the selected task
+    if (selectedTaskId && tasks.some(t => t.id == selectedTaskId)) {
+        selectTask(selectedTaskId);
+    } else if (selectedTaskId) {
+        closeTaskDetails();
+    }
+}
+
+/**
+ * Notify other modules that the tasks array was replaced
+ */
+function notifyTasksReplaced() {
+    document.dispatchEvent(new CustomEvent('tasksreplaced'));
+}
+
+/**
+ * Select a task to show its details
+ * @param {string} taskId - The ID of the task to select
+ */
+function selectTask(taskId) {
+    selectedTaskId = taskId;
+    const task = tasks.find(t => t.id == taskId);
+    
+    if (!task) return;
+    
+    // Let other modules know which task is selected
+    notifyTaskSelection();
+    
+    // Update task details sidebar
+    const taskDetails = document.querySelector('.task-details');
+    taskDetails.style.display = 'block';
     
     // Update task title and checkbox
-    taskDetails.querySelector('.task-title').textContent = task.name;
+    taskDetails.querySelector('.task-title').value = task.name;
     const checkbox = taskDetails.querySelector('.task-checkbox.large i');
     checkbox.className = task.completed ? 'fa-solid fa-check-circle' : 'fa-regular fa-circle';
     
     // Update Pomodoro quantity
     const pomodoroQuantity = taskDetails.querySelector('.pomodoro-quantity .quantity-info');
     pomodoroQuantity.textContent = `${task.pomodoroQuantity?.completed || 0} / ${task.pomodoroQuantity?.total || 0}`;
+    const abandonedPomodoros = task.pomodoroQuantity?.abandoned || 0;
+    taskDetails.querySelector('.pomodoro-quantity .quantity-abandoned').textContent =
+        abandonedPomodoros > 0 ? `${abandonedPomodoros} abandoned` : '';
+    
+    // Update time tracked with the stopwatch
+    const trackedTime = task.actualTime || 0;
+    taskDetails.querySelector('.pomodoro-quantity .quantity-tracked').textContent = trackedTime > 0
+        ? `Stopwatch: ${trackedTime}m (≈ ${toPomodoroEquivalents(trackedTime).toFixed(1)} pomodoros)`
+        : '';
+    
+    // Update pomodoro estimate
+    const estimateInput = taskDetails.querySelector('.estimate-input');
+    estimateInput.value = task.pomodoroQuantity?.total || 1;
+    estimateInput.classList.remove('invalid');
+    
+    // Update due date and time
+    taskDetails.querySelector('.due-date-input').value = task.dueDate || '';
+    taskDetails.querySelector('.due-time-input').value = task.dueTime || '';
+    taskDetails.querySelector('.due-time-input').disabled = !task.dueDate;
+    
+    // Update project, suggesting the projects already in use
+    taskDetails.querySelector('.project-input').value = task.project || 'Inbox';
+    taskDetails.querySelector('#project-options').innerHTML = getProjectNames()
+        .map(project => `<option value="${escapeHtml(project)}"></option>`)
+        .join('');
+    
+    // Update priority
+    taskDetails.querySelector('.priority-select').value = String(task.priority || 0);
     
-    // Update due date
-    const dueDate = taskDetails.querySelector('.due-date');
-    dueDate.textContent = task.dueDate ? formatDate(task.dueDate) : 'None';
+    // Update tags
+    taskDetails.querySelector('.task-tag-list').innerHTML = (task.tags || []).map(tag => `
+        <span class="task-tag" data-tag="${escapeHtml(tag)}">
+            ${renderTagLabel(tag)}
+            <button type="button" class="remove-tag-btn" aria-label="Remove tag ${escapeHtml(tag)}"><i class="fa-solid fa-times"></i></button>
+        </span>
+    `).join('');
     
-    // Update project
-    const projectName = taskDetails.querySelector('.project-name');
-    projectName.textContent = task.project || 'Inbox';
+    // Suggest the existing tags
+    renderTagOptions();
+    
+    // Update repeat rule
+    renderRepeatEditor(task);
+    
+    // Update reminder
+    renderReminderEditor(task);
     
     // Update subtasks
     const subtasksSection = taskDetails.querySelector('.subtasks-section');
@@ -283,9 +1336,20 @@ function selectTask(taskId) {
             subtaskEl.classList.add('subtask');
             subtaskEl.dataset.subtaskId = subtask.id;
             
+            if (subtask.completed) {
+                subtaskEl.classList.add('completed');
+            }
+            
             subtaskEl.innerHTML = `
+                <span class="subtask-handle" draggable="true" title="Drag to reorder"><i class="fa-solid fa-grip-vertical"></i></span>
                 <div class="subtask-checkbox"><i class="${subtask.completed ? 'fa-solid fa-check-circle' : 'fa-regular fa-circle'}"></i></div>
-                <div class="subtask-name">${subtask.name}</div>
+                <input type="text" class="subtask-name" value="${escapeHtml(subtask.name)}" aria-label="Subtask name">
+                <label class="subtask-estimate-label" title="Pomodoros">
+                    <i class="fa-solid fa-stopwatch"></i>
+                    <input type="number" class="subtask-estimate" min="0" max="${MAX_SUBTASK_POMODOROS}" value="${subtask.pomodoros || ''}" placeholder="0" aria-label="Pomodoro estimate">
+                </label>
+                <button class="promote-subtask-btn" title="Make a separate task" aria-label="Make a separate task"><i class="fa-solid fa-arrow-up-right-from-square"></i></button>
+                <button class="delete-subtask-btn" title="Delete subtask" aria-label="Delete subtask"><i class="fa-regular fa-trash-can"></i></button>
             `;
             
             subtasksSection.appendChild(subtaskEl);
@@ -302,111 +1366,841 @@ function selectTask(taskId) {
     `;
     subtasksSection.appendChild(addSubtaskDiv);
     
-    // Add task notes
-    const taskNotes = taskDetails.querySelector('.task-notes input');
-    taskNotes.value = task.notes || '';
+    // Offer the other open tasks as parents, if this task can become a subtask
+    const parentSection = taskDetails.querySelector('.parent-section');
+    parentSection.style.display = canDemoteTask(task) ? '' : 'none';
+    taskDetails.querySelector('.parent-select').innerHTML = '<option value="">None (separate task)</option>' + tasks
+        .filter(t => t.id != task.id && !t.completed)
+        .map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`)
+        .join('');
+    
+    // Show the tasks this one waits for
+    renderDependencies(task);
+    
+    // Add task notes
+    const taskNotes = taskDetails.querySelector('.task-notes input');
+    taskNotes.value = task.notes || '';
+    
+    // Update creation info
+    const creationInfo = taskDetails.querySelector('.task-creation-info');
+    creationInfo.innerHTML = `
+        Created on ${formatDate(task.createdAt || new Date())}
+        <button class="delete-task-btn"><i class="fa-regular fa-trash-can"></i></button>
+    `;
+    
+    // Mark the selected task in the UI
+    document.querySelectorAll('.task').forEach(taskEl => {
+        taskEl.classList.remove('selected');
+        if (taskEl.dataset.taskId == taskId) {
+            taskEl.classList.add('selected');
+        }
+    });
+}
+
+/**
+ * Set up the editable fields of the task details
+ * Each field is saved through updateTask when it changes.
+ */
+function setupTaskDetailsEditor() {
+    const taskDetails = document.querySelector('.task-details');
+    
+    // Complete the selected task from its details
+    taskDetails.querySelector('.task-checkbox.large').addEventListener('click', () => {
+        if (!selectedTaskId) return;
+        toggleTaskCompletion(selectedTaskId);
+        selectTask(selectedTaskId);
+    });
+    
+    // Rename; an empty name keeps the old one
+    const titleInput = taskDetails.querySelector('.task-title');
+    titleInput.addEventListener('change', function() {
+        const name = this.value.trim();
+        saveTaskDetails(name !== '' ? { name } : {});
+    });
+    titleInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            this.blur();
+        }
+    });
+    
+    // Pomodoro estimate; the estimated time follows the pomodoro length
+    taskDetails.querySelector('.estimate-input').addEventListener('change', function() {
+        const task = tasks.find(t => t.id == selectedTaskId);
+        const total = Number(this.value);
+        if (!task) return;
+        
+        if (!Number.isInteger(total) || total < 1 || total > 99) {
+            this.classList.add('invalid');
+            return;
+        }
+        
+        saveTaskDetails({
+            pomodoroQuantity: { ...task.pomodoroQuantity, total },
+            estimatedTime: total * getSettings().pomodoro,
+        });
+    });
+    
+    // Due date and time; clearing the date also clears the time
+    taskDetails.querySelector('.due-date-input').addEventListener('change', function() {
+        saveTaskDetails(this.value ? { dueDate: this.value } : { dueDate: null, dueTime: null });
+    });
+    taskDetails.querySelector('.due-time-input').addEventListener('change', function() {
+        saveTaskDetails({ dueTime: this.value || null });
+    });
+    
+    // Project; an empty project moves the task to the Inbox
+    taskDetails.querySelector('.project-input').addEventListener('change', function() {
+        saveTaskDetails({ project: this.value.trim() || INBOX_PROJECT });
+    });
+    
+    // Priority
+    taskDetails.querySelector('.priority-select').addEventListener('change', function() {
+        saveTaskDetails({ priority: Number(this.value) });
+    });
+    
+    // Add tags with Enter or a comma
+    taskDetails.querySelector('.tag-input').addEventListener('keydown', function(e) {
+        if (e.key !== 'Enter' && e.key !== ',') return;
+        e.preventDefault();
+        
+        const task = tasks.find(t => t.id == selectedTaskId);
+        const tag = this.value.trim();
+        if (!task || tag === '') return;
+        
+        this.value = '';
+        saveTaskDetails({ tags: [...(task.tags || []), tag] });
+    });
+    
+    // Remove a tag
+    taskDetails.querySelector('.task-tag-list').addEventListener('click', function(e) {
+        const removeButton = e.target.closest('.remove-tag-btn');
+        const task = tasks.find(t => t.id == selectedTaskId);
+        if (!removeButton || !task) return;
+        
+        const tag = removeButton.closest('.task-tag').dataset.tag;
+        saveTaskDetails({ tags: (task.tags || []).filter(t => t !== tag) });
+    });
+    
+    // Notes
+    taskDetails.querySelector('.task-notes input').addEventListener('change', function() {
+        saveTaskDetails({ notes: this.value });
+    });
+}
+
+/**
+ * Save changed fields of the selected task and refresh its details
+ * @param {Object} updatedFields - The fields to update
+ */
+function saveTaskDetails(updatedFields) {
+    if (!selectedTaskId) return;
+    
+    if (Object.keys(updatedFields).length > 0) {
+        updateTask(selectedTaskId, updatedFields);
+    }
+    
+    // Refresh even when nothing was saved, so rejected input is reverted
+    selectTask(selectedTaskId);
+}
+
+/**
+ * Set up the repeat rule editor in the task details
+ */
+function setupRepeatEditor() {
+    const repeatValue = document.querySelector('.repeat-value');
+    
+    // Pick sensible defaults when switching to a rule that needs a value
+    repeatValue.querySelector('.repeat-type').addEventListener('change', function() {
+        const task = tasks.find(t => t.id == selectedTaskId);
+        if (!task) return;
+        
+        const dueDate = task.dueDate ? parseDateKey(task.dueDate) : new Date();
+        repeatValue.querySelector('.repeat-interval').value = 2;
+        repeatValue.querySelector('.repeat-day').value = dueDate.getDate();
+        
+        const rruleInput = repeatValue.querySelector('.repeat-rrule');
+        if (this.value === 'custom' && rruleInput.value.trim() === '') {
+            rruleInput.value = 'FREQ=WEEKLY;INTERVAL=1';
+        }
+        
+        saveRepeatEditor();
+    });
+    
+    repeatValue.querySelectorAll('.repeat-interval, .repeat-day, .repeat-rrule').forEach(input => {
+        input.addEventListener('change', saveRepeatEditor);
+    });
+    
+    // Stop the series: this occurrence becomes the last one
+    repeatValue.querySelector('.stop-series-btn').addEventListener('click', () => {
+        saveTaskDetails({ recurrence: null });
+    });
+}
+
+/**
+ * Save the rule in the repeat editor to the selected task
+ */
+function saveRepeatEditor() {
+    const task = tasks.find(t => t.id == selectedTaskId);
+    if (!task) return;
+    
+    const repeatValue = document.querySelector('.repeat-value');
+    const type = repeatValue.querySelector('.repeat-type').value;
+    
+    if (type === 'none') {
+        saveTaskDetails({ recurrence: null });
+        return;
+    }
+    
+    const recurrence = { type, occurrence: task.recurrence?.occurrence || 1 };
+    if (type === 'days' || type === 'weeks') {
+        recurrence.interval = Number(repeatValue.querySelector('.repeat-interval').value);
+    } else if (type === 'monthly') {
+        recurrence.dayOfMonth = Number(repeatValue.querySelector('.repeat-day').value);
+    } else if (type === 'custom') {
+        recurrence.rrule = repeatValue.querySelector('.repeat-rrule').value.trim();
+    }
+    
+    // Keep invalid rules in the editor so they can be corrected
+    const error = validateRecurrence(recurrence);
+    repeatValue.querySelector('.repeat-error').textContent = error || '';
+    repeatValue.querySelector('.repeat-rrule').classList.toggle('invalid', Boolean(error) && type === 'custom');
+    if (error) return;
+    
+    saveTaskDetails({ recurrence });
+}
+
+/**
+ * Show a task's repeat rule in the repeat editor
+ * @param {Object} task - The task
+ */
+function renderRepeatEditor(task) {
+    const repeatValue = document.querySelector('.repeat-value');
+    const recurrence = task.recurrence || null;
+    const type = recurrence ? recurrence.type : 'none';
+    
+    const typeSelect = repeatValue.querySelector('.repeat-type');
+    const intervalInput = repeatValue.querySelector('.repeat-interval');
+    const dayInput = repeatValue.querySelector('.repeat-day');
+    const rruleInput = repeatValue.querySelector('.repeat-rrule');
+    
+    typeSelect.value = type;
+    intervalInput.value = recurrence?.interval || 2;
+    dayInput.value = recurrence?.dayOfMonth || 1;
+    rruleInput.value = recurrence?.rrule || '';
+    rruleInput.classList.remove('invalid');
+    repeatValue.querySelector('.repeat-error').textContent = '';
+    
+    intervalInput.style.display = type === 'days' || type === 'weeks' ? '' : 'none';
+    dayInput.style.display = type === 'monthly' ? '' : 'none';
+    rruleInput.style.display = type === 'custom' ? '' : 'none';
+    
+    // Once the next occurrence exists, the series continues there
+    const continued = Boolean(recurrence?.nextOccurrenceId) && tasks.some(t => t.id == recurrence.nextOccurrenceId);
+    [typeSelect, intervalInput, dayInput, rruleInput].forEach(input => {
+        input.disabled = continued;
+    });
+    repeatValue.querySelector('.stop-series-btn').style.display = recurrence && !continued ? '' : 'none';
+    
+    const summary = repeatValue.querySelector('.repeat-summary');
+    if (!recurrence) {
+        summary.textContent = '';
+    } else if (continued) {
+        summary.textContent = `${describeRecurrence(recurrence)} • continued in the next occurrence`;
+    } else {
+        const nextDueDate = createNextOccurrence(task, null)?.dueDate;
+        summary.textContent = nextDueDate
+            ? `${describeRecurrence(recurrence)} • next on ${formatDate(parseDateKey(nextDueDate))}`
+            : `${describeRecurrence(recurrence)} • this is the last occurrence`;
+    }
+}
+
+/**
+ * Set up the reminder editor in the task details
+ */
+function setupReminderEditor() {
+    const reminderValue = document.querySelector('.reminder-value');
+    
+    // Pick sensible defaults when switching to a kind of reminder
+    reminderValue.querySelector('.reminder-type').addEventListener('change', function() {
+        const task = tasks.find(t => t.id == selectedTaskId);
+        if (!task) return;
+        
+        reminderValue.querySelector('.reminder-at').value = getDefaultReminderAt(task);
+        reminderValue.querySelector('.reminder-minutes').value = 15;
+        
+        saveReminderEditor();
+    });
+    
+    reminderValue.querySelectorAll('.reminder-at, .reminder-minutes').forEach(input => {
+        input.addEventListener('change', saveReminderEditor);
+    });
+}
+
+/**
+ * Save the reminder in the reminder editor to the selected task
+ */
+function saveReminderEditor() {
+    const reminderValue = document.querySelector('.reminder-value');
+    const type = reminderValue.querySelector('.reminder-type').value;
+    
+    if (type === 'at') {
+        const at = reminderValue.querySelector('.reminder-at').value;
+        saveTaskDetails(at ? { reminder: { at } } : {});
+    } else if (type === 'before') {
+        const minutesBefore = Number(reminderValue.querySelector('.reminder-minutes').value);
+        const valid = Number.isInteger(minutesBefore) && minutesBefore >= 0 && minutesBefore <= MAX_MINUTES_BEFORE;
+        saveTaskDetails(valid ? { reminder: { minutesBefore } } : {});
+    } else {
+        saveTaskDetails({ reminder: null });
+    }
+}
+
+/**
+ * Show a task's reminder in the reminder editor
+ * @param {Object} task - The task
+ */
+function renderReminderEditor(task) {
+    const reminderValue = document.querySelector('.reminder-value');
+    const reminder = task.reminder || null;
+    const type = reminder ? (reminder.at ? 'at' : 'before') : 'none';
+    
+    const atInput = reminderValue.querySelector('.reminder-at');
+    const minutesInput = reminderValue.querySelector('.reminder-minutes');
+    
+    reminderValue.querySelector('.reminder-type').value = type;
+    atInput.value = reminder?.at || '';
+    minutesInput.value = reminder?.minutesBefore ?? 15;
+    atInput.style.display = type === 'at' ? '' : 'none';
+    minutesInput.style.display = type === 'before' ? '' : 'none';
+    
+    const summary = reminderValue.querySelector('.reminder-summary');
+    if (!reminder) {
+        summary.textContent = '';
+        return;
+    }
+    
+    const time = getReminderTime(task);
+    let text = describeReminder(reminder);
+    if (type === 'before') {
+        text += time === null ? ' • set a due date to schedule it' : ` • ${formatReminderTime(time)}`;
+    }
+    if (time !== null && time <= Date.now()) {
+        text += ' • passed';
+    }
+    summary.textContent = text;
+}
+
+/**
+ * Get the time a new fixed-time reminder starts at
+ * @param {Object} task - The task
+ * @returns {string} The due time if it's still ahead, otherwise the next full hour (YYYY-MM-DDTHH:MM)
+ */
+function getDefaultReminderAt(task) {
+    if (task.dueDate) {
+        const at = `${task.dueDate}T${task.dueTime || DEFAULT_DUE_TIME}`;
+        if (getReminderTime({ reminder: { at } }) > Date.now()) {
+            return at;
+        }
+    }
+    
+    const nextHour = new Date();
+    nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+    return `${toDateKey(nextHour)}T${String(nextHour.getHours()).padStart(2, '0')}:00`;
+}
+
+/**
+ * Close the task details sidebar
+ */
+function closeTaskDetails() {
+    selectedTaskId = null;
+    notifyTaskSelection();
+    document.querySelector('.task-details').style.display = 'none';
+    document.querySelectorAll('.task').forEach(taskEl => {
+        taskEl.classList.remove('selected');
+    });
+}
+
+/**
+ * Notify other modules that the selected task changed
+ */
+function notifyTaskSelection() {
+    document.dispatchEvent(new CustomEvent('taskselectionchange', { detail: { taskId: selectedTaskId } }));
+}
+
+/**
+ * Add a subtask to a task
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskName - The name of the subtask
+ */
+function addSubtask(taskId, subtaskName) {
+    changeSubtasks(taskId, `Added subtask "${subtaskName}"`, subtasks => [
+        ...subtasks,
+        {
+            id: Date.now(),
+            name: subtaskName,
+            completed: false
+        },
+    ]);
+}
+
+/**
+ * Set up the subtask list in the task details: renaming, deleting, estimating,
+ * reordering and promoting subtasks, and demoting the task to a subtask
+ */
+function setupSubtaskEditor() {
+    const taskDetails = document.querySelector('.task-details');
+    const subtasksSection = taskDetails.querySelector('.subtasks-section');
+    let draggedSubtaskId = null;
+    
+    subtasksSection.addEventListener('click', function(e) {
+        const subtaskEl = e.target.closest('.subtask');
+        if (!subtaskEl || !selectedTaskId) return;
+        
+        const subtaskId = subtaskEl.dataset.subtaskId;
+        if (e.target.closest('.subtask-checkbox')) {
+            toggleSubtaskCompletion(selectedTaskId, subtaskId);
+        } else if (e.target.closest('.delete-subtask-btn')) {
+            deleteSubtask(selectedTaskId, subtaskId);
+        } else if (e.target.closest('.promote-subtask-btn')) {
+            promoteSubtask(selectedTaskId, subtaskId);
+        }
+    });
+    
+    subtasksSection.addEventListener('change', function(e) {
+        const subtaskEl = e.target.closest('.subtask');
+        if (!subtaskEl || !selectedTaskId) return;
+        
+        const subtaskId = subtaskEl.dataset.subtaskId;
+        if (e.target.matches('.subtask-name')) {
+            renameSubtask(selectedTaskId, subtaskId, e.target.value.trim());
+        } else if (e.target.matches('.subtask-estimate')) {
+            setSubtaskEstimate(selectedTaskId, subtaskId, e.target.value);
+        }
+    });
+    
+    subtasksSection.addEventListener('keydown', function(e) {
+        if (!e.target.matches('.subtask-name')) return;
+        const subtaskId = e.target.closest('.subtask').dataset.subtaskId;
+        
+        if (e.key === 'Enter') {
+            e.target.blur();
+        } else if (e.key === 'Escape') {
+            // Undo the typing
+            e.target.value = e.target.defaultValue;
+            e.target.blur();
+        } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            // Reorder without dragging
+            e.preventDefault();
+            moveSubtask(selectedTaskId, subtaskId, e.key === 'ArrowUp' ? -1 : 1);
+            const movedInput = Array.from(subtasksSection.querySelectorAll('.subtask'))
+                .find(el => el.dataset.subtaskId === subtaskId)?.querySelector('.subtask-name');
+            if (movedInput) {
+                movedInput.focus();
+            }
+        }
+    });
+    
+    // Subtasks are dragged by their handle, so their names stay selectable
+    subtasksSection.addEventListener('dragstart', function(e) {
+        const handle = e.target.closest('.subtask-handle');
+        if (!handle) return;
+        
+        draggedSubtaskId = handle.closest('.subtask').dataset.subtaskId;
+        handle.closest('.subtask').classList.add('dragging');
+        e.dataTransfer.setData('text/plain', '');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    subtasksSection.addEventListener('dragend', function() {
+        draggedSubtaskId = null;
+        subtasksSection.querySelectorAll('.subtask').forEach(el => el.classList.remove('dragging', 'drag-over'));
+    });
+    
+    subtasksSection.addEventListener('dragover', function(e) {
+        const subtaskEl = e.target.closest('.subtask');
+        if (!draggedSubtaskId || !subtaskEl) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        subtasksSection.querySelectorAll('.subtask').forEach(el => el.classList.toggle('drag-over', el === subtaskEl));
+    });
+    
+    subtasksSection.addEventListener('drop', function(e) {
+        const subtaskEl = e.target.closest('.subtask');
+        if (!draggedSubtaskId || !subtaskEl) return;
+        
+        e.preventDefault();
+        const subtaskIds = Array.from(subtasksSection.querySelectorAll('.subtask')).map(el => el.dataset.subtaskId);
+        const fromIndex = subtaskIds.indexOf(draggedSubtaskId);
+        const toIndex = subtaskIds.indexOf(subtaskEl.dataset.subtaskId);
+        
+        draggedSubtaskId = null;
+        if (fromIndex !== toIndex) {
+            moveSubtask(selectedTaskId, subtaskIds[fromIndex], toIndex - fromIndex);
+        }
+    });
+    
+    // Make the task a subtask of another task
+    taskDetails.querySelector('.parent-select').addEventListener('change', function() {
+        const parentId = this.value;
+        this.value = '';
+        if (parentId !== '' && selectedTaskId) {
+            demoteTask(selectedTaskId, parentId);
+        }
+    });
+}
+
+/**
+ * Change the subtasks of a task as one undoable change
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} label - What the change did, shown in the undo toast
+ * @param {Function} change - Returns the new subtasks, given copies of the current ones
+ */
+function changeSubtasks(taskId, label, change) {
+    if (!canEditTask(taskId)) return;
+    
+    const task = tasks.find(t => t.id == taskId);
+    if (!task) return;
+    
+    runTaskCommand(label, () => {
+        task.subtasks = change((task.subtasks || []).map(subtask => ({ ...subtask })));
+        saveState({ tasks });
+    });
+    
+    // Refresh the progress in the task row and the task details view
+    showCurrentList();
+    if (taskId == selectedTaskId) {
+        selectTask(taskId);
+    }
+}
+
+/**
+ * Rename a subtask
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ * @param {string} name - The new name; an empty name keeps the old one
+ */
+function renameSubtask(taskId, subtaskId, name) {
+    if (name === '') {
+        selectTask(taskId);
+        return;
+    }
+    
+    changeSubtasks(taskId, `Renamed subtask "${name}"`, subtasks => subtasks.map(subtask => (
+        subtask.id == subtaskId ? { ...subtask, name } : subtask
+    )));
+}
+
+/**
+ * Delete a subtask
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ */
+function deleteSubtask(taskId, subtaskId) {
+    const subtask = findSubtask(taskId, subtaskId);
+    if (!subtask) return;
+    
+    changeSubtasks(taskId, `Deleted subtask "${subtask.name}"`, subtasks => subtasks.filter(s => s.id != subtaskId));
+}
+
+/**
+ * Set the pomodoro estimate of a subtask
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ * @param {string} value - The number of pomodoros as typed; empty clears the estimate
+ */
+function setSubtaskEstimate(taskId, subtaskId, value) {
+    const pomodoros = value === '' ? 0 : Number(value);
+    if (!Number.isInteger(pomodoros) || pomodoros < 0 || pomodoros > MAX_SUBTASK_POMODOROS) {
+        selectTask(taskId);
+        return;
+    }
+    
+    const subtask = findSubtask(taskId, subtaskId);
+    if (!subtask) return;
+    
+    changeSubtasks(taskId, `Estimated subtask "${subtask.name}"`, subtasks => subtasks.map(s => (
+        s.id == subtaskId ? { ...s, pomodoros } : s
+    )));
+}
+
+/**
+ * Move a subtask up or down
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ * @param {number} offset - How many places to move it (negative moves it up)
+ */
+function moveSubtask(taskId, subtaskId, offset) {
+    const task = tasks.find(t => t.id == taskId);
+    const fromIndex = (task?.subtasks || []).findIndex(s => s.id == subtaskId);
+    const toIndex = fromIndex + offset;
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= task.subtasks.length) return;
+    
+    changeSubtasks(taskId, `Moved subtask "${task.subtasks[fromIndex].name}"`, subtasks => {
+        const [subtask] = subtasks.splice(fromIndex, 1);
+        subtasks.splice(toIndex, 0, subtask);
+        return subtasks;
+    });
+}
+
+/**
+ * Turn a subtask into a separate task, placed after its parent
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ */
+function promoteSubtask(taskId, subtaskId) {
+    if (!canEditTask(taskId)) return;
+    
+    const task = tasks.find(t => t.id == taskId);
+    const subtask = findSubtask(taskId, subtaskId);
+    if (!task || !subtask) return;
+    
+    const pomodoros = subtask.pomodoros || 1;
+    runTaskCommand(`Made "${subtask.name}" a separate task`, () => {
+        task.subtasks = task.subtasks.filter(s => s.id != subtaskId);
+        
+        // The new task stays in the parent's project and keeps its due date
+        const newTask = {
+            id: createTaskId(),
+            createdAt: Date.now(),
+            name: subtask.name,
+            completed: subtask.completed,
+            priority: 0,
+            project: task.project,
+            dueDate: task.dueDate || null,
+            estimatedTime: pomodoros * getSettings().pomodoro,
+            subtasks: [],
+            notes: '',
+            tags: [],
+            pomodoroQuantity: { completed: 0, total: pomodoros },
+        };
+        tasks.splice(tasks.indexOf(task) + 1, 0, newTask);
+        saveState({ tasks });
+    });
+    
+    showCurrentList();
+    selectTask(taskId);
+}
+
+/**
+ * Turn a task into a subtask of another task
+ * Only tasks without subtasks of their own and without a repeat rule can become subtasks.
+ * @param {string} taskId - The ID of the task
+ * @param {string} parentId - The ID of the new parent task
+ */
+function demoteTask(taskId, parentId) {
+    const task = tasks.find(t => t.id == taskId);
+    const parent = tasks.find(t => t.id == parentId);
+    if (!task || !parent || task === parent || !canDemoteTask(task)) return;
+    if (!canEditTask(taskId) || !canEditTask(parentId)) return;
+    
+    // Subtasks only keep a name, a checkbox and an estimate
+    const losesDetails = task.notes || (task.tags || []).length > 0 || task.actualTime > 0 || task.pomodoroQuantity?.completed > 0;
+    if (losesDetails && !confirm(`Make "${task.name}" a subtask of "${parent.name}"? Its notes, tags and tracked time will be removed.`)) {
+        return;
+    }
+    
+    runTaskCommand(`Made "${task.name}" a subtask of "${parent.name}"`, () => {
+        tasks = tasks.filter(t => t !== task);
+        parent.subtasks = [...(parent.subtasks || []), {
+            id: task.id,
+            name: task.name,
+            completed: task.completed,
+            pomodoros: task.pomodoroQuantity?.total || 0,
+        }];
+        unlinkMissingBlockers();
+        notifyTasksReplaced();
+        saveState({ tasks });
+    });
+    
+    showCurrentList();
+    selectTask(parent.id);
+}
+
+/**
+ * Check whether a task can become a subtask
+ * @param {Object} task - The task
+ * @returns {boolean} True if the task has no subtasks and doesn't repeat
+ */
+function canDemoteTask(task) {
+    return (task.subtasks || []).length === 0 && !task.recurrence;
+}
+
+/**
+ * Find a subtask of a task
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ * @returns {Object|undefined} The subtask
+ */
+function findSubtask(taskId, subtaskId) {
+    const task = tasks.find(t => t.id == taskId);
+    return (task?.subtasks || []).find(s => s.id == subtaskId);
+}
+
+/**
+ * Toggle completion status of a subtask
+ * @param {string} taskId - The ID of the parent task
+ * @param {string} subtaskId - The ID of the subtask
+ */
+function toggleSubtaskCompletion(taskId, subtaskId) {
+    const subtask = findSubtask(taskId, subtaskId);
+    if (!subtask) return;
+    
+    changeSubtasks(taskId, `${subtask.completed ? 'Reopened' : 'Completed'} subtask "${subtask.name}"`, subtasks => subtasks.map(s => (
+        s.id == subtaskId ? { ...s, completed: !s.completed } : s
+    )));
+}
+
+/**
+ * Set up the "Blocked by" section in the task details
+ */
+function setupDependencyEditor() {
+    const dependencySection = document.querySelector('.task-details .dependency-section');
     
-    // Update creation info
-    const creationInfo = taskDetails.querySelector('.task-creation-info');
-    creationInfo.innerHTML = `
-        Created on ${formatDate(new Date())}
-        <button class="delete-task-btn"><i class="fa-regular fa-trash-can"></i></button>
-    `;
+    // Link a task that must be done first
+    dependencySection.querySelector('.blocker-select').addEventListener('change', function() {
+        const blockerId = this.value;
+        this.value = '';
+        if (blockerId !== '' && selectedTaskId) {
+            addBlocker(selectedTaskId, blockerId);
+        }
+    });
     
-    // Mark the selected task in the UI
-    document.querySelectorAll('.task').forEach(taskEl => {
-        taskEl.classList.remove('selected');
-        if (taskEl.dataset.taskId == taskId) {
-            taskEl.classList.add('selected');
+    dependencySection.addEventListener('click', function(e) {
+        const dependencyEl = e.target.closest('.dependency');
+        if (!dependencyEl || !selectedTaskId) return;
+        
+        if (e.target.closest('.remove-blocker-btn')) {
+            removeBlocker(selectedTaskId, dependencyEl.dataset.taskId);
+        } else if (e.target.closest('.dependency-name')) {
+            selectTask(dependencyEl.dataset.taskId);
         }
     });
+}
+
+/**
+ * Show the dependencies of a task in the task details
+ * @param {Object} task - The selected task
+ */
+function renderDependencies(task) {
+    const dependencySection = document.querySelector('.task-details .dependency-section');
+    const blockedBy = (task.blockedBy || [])
+        .map(id => tasks.find(t => t.id == id))
+        .filter(Boolean);
     
-    // Setup subtask checkbox event listeners
-    setupSubtaskCheckboxes();
+    dependencySection.querySelector('.dependency-list').innerHTML = blockedBy.map(blocker => `
+        <div class="dependency${blocker.completed ? ' completed' : ''}" data-task-id="${blocker.id}">
+            <i class="${blocker.completed ? 'fa-solid fa-check-circle' : 'fa-solid fa-lock'}"></i>
+            <button type="button" class="dependency-name" title="Open task">${escapeHtml(blocker.name)}</button>
+            <button type="button" class="remove-blocker-btn" title="Remove link" aria-label="Remove link"><i class="fa-solid fa-xmark"></i></button>
+        </div>
+    `).join('');
+    
+    // Tasks that would end up waiting for themselves can't be picked
+    const candidates = tasks.filter(t => t.id != task.id && !t.completed && !blockedBy.includes(t));
+    dependencySection.querySelector('.blocker-select').innerHTML = '<option value="">Add a task to finish first...</option>' + candidates
+        .map(t => {
+            const cyclic = wouldCreateCycle(task.id, t.id, tasks);
+            return `<option value="${t.id}"${cyclic ? ' disabled' : ''}>${escapeHtml(t.name)}${cyclic ? ' (waits for this task)' : ''}</option>`;
+        })
+        .join('');
+    
+    const dependents = tasks.filter(t => (t.blockedBy || []).some(id => id == task.id));
+    dependencySection.querySelector('.dependents-summary').textContent = dependents.length > 0
+        ? `Blocks ${dependents.map(t => `"${t.name}"`).join(', ')}`
+        : '';
+    dependencySection.querySelector('.dependency-error').textContent = '';
 }
 
 /**
- * Close the task details sidebar
+ * Make a task wait for another task
+ * @param {string} taskId - The ID of the task that is blocked
+ * @param {string} blockerId - The ID of the task that must be completed first
  */
-function closeTaskDetails() {
-    selectedTaskId = null;
-    document.querySelector('.task-details').style.display = 'none';
-    document.querySelectorAll('.task').forEach(taskEl => {
-        taskEl.classList.remove('selected');
+function addBlocker(taskId, blockerId) {
+    if (!canEditTask(taskId)) return;
+    
+    const task = tasks.find(t => t.id == taskId);
+    const blocker = tasks.find(t => t.id == blockerId);
+    if (!task || !blocker || (task.blockedBy || []).some(id => id == blockerId)) return;
+    
+    if (wouldCreateCycle(taskId, blockerId, tasks)) {
+        document.querySelector('.task-details .dependency-error').textContent =
+            `"${blocker.name}" already waits for "${task.name}", so it can't block it.`;
+        return;
+    }
+    
+    runTaskCommand(`"${task.name}" now waits for "${blocker.name}"`, () => {
+        task.blockedBy = [...(task.blockedBy || []), blocker.id];
+        saveState({ tasks });
     });
+    
+    showCurrentList();
+    selectTask(taskId);
 }
 
 /**
- * Add a subtask to a task
- * @param {string} taskId - The ID of the parent task
- * @param {string} subtaskName - The name of the subtask
+ * Remove a "blocked by" link
+ * @param {string} taskId - The ID of the blocked task
+ * @param {string} blockerId - The ID of the task it waits for
  */
-function addSubtask(taskId, subtaskName) {
-    const taskIndex = tasks.findIndex(t => t.id == taskId);
-    if (taskIndex !== -1) {
-        // Create the subtask
-        const subtask = {
-            id: Date.now(),
-            name: subtaskName,
-            completed: false
-        };
-        
-        // Add it to the task
-        if (!tasks[taskIndex].subtasks) {
-            tasks[taskIndex].subtasks = [];
-        }
-        tasks[taskIndex].subtasks.push(subtask);
-        
-        // Save and re-render
+function removeBlocker(taskId, blockerId) {
+    if (!canEditTask(taskId)) return;
+    
+    const task = tasks.find(t => t.id == taskId);
+    if (!task) return;
+    
+    const blocker = tasks.find(t => t.id == blockerId);
+    runTaskCommand(`"${task.name}" no longer waits for "${blocker ? blocker.name : 'a deleted task'}"`, () => {
+        task.blockedBy = (task.blockedBy || []).filter(id => id != blockerId);
         saveState({ tasks });
-        selectTask(taskId); // Refresh the task details view
-    }
+    });
+    
+    showCurrentList();
+    selectTask(taskId);
 }
 
 /**
- * Setup event listeners for subtask checkboxes
+ * Remove the links to tasks that are no longer in the task list
+ * Deleted tasks and tasks turned into subtasks can't be completed, so nothing may wait for them.
  */
-function setupSubtaskCheckboxes() {
-    document.querySelectorAll('.subtask .subtask-checkbox').forEach(checkbox => {
-        checkbox.addEventListener('click', function() {
-            const subtaskEl = this.closest('.subtask');
-            const subtaskId = subtaskEl.dataset.subtaskId;
-            const taskId = selectedTaskId;
-            
-            if (taskId && subtaskId) {
-                toggleSubtaskCompletion(taskId, subtaskId);
-            }
-        });
+function unlinkMissingBlockers() {
+    const taskIds = new Set(tasks.map(task => String(task.id)));
+    tasks.forEach(task => {
+        if ((task.blockedBy || []).some(id => !taskIds.has(String(id)))) {
+            task.blockedBy = task.blockedBy.filter(id => taskIds.has(String(id)));
+        }
     });
 }
 
 /**
- * Toggle completion status of a subtask
- * @param {string} taskId - The ID of the parent task
- * @param {string} subtaskId - The ID of the subtask
+ * Move every overdue task to today as one undoable change
  */
-function toggleSubtaskCompletion(taskId, subtaskId) {
-    const taskIndex = tasks.findIndex(t => t.id == taskId);
-    if (taskIndex !== -1 && tasks[taskIndex].subtasks) {
-        const subtaskIndex = tasks[taskIndex].subtasks.findIndex(st => st.id == subtaskId);
-        if (subtaskIndex !== -1) {
-            // Toggle completion
-            tasks[taskIndex].subtasks[subtaskIndex].completed = !tasks[taskIndex].subtasks[subtaskIndex].completed;
-            
-            // Save and re-render
-            saveState({ tasks });
-            selectTask(taskId); // Refresh the task details view
-        }
+function rescheduleOverdueTasks() {
+    const overdueTasks = tasks.filter(task => isOverdue(task));
+    if (overdueTasks.length === 0 || !overdueTasks.every(task => canEditTask(task.id))) return;
+    
+    const today = getDayKey();
+    runTaskCommand(`Rescheduled ${formatTaskCount(overdueTasks.length)} to today`, () => {
+        overdueTasks.forEach(task => {
+            task.dueDate = today;
+        });
+        saveState({ tasks });
+    });
+    
+    showCurrentList();
+    if (overdueTasks.some(task => task.id == selectedTaskId)) {
+        selectTask(selectedTaskId);
     }
 }
 
 /**
  * Format a date to display format (e.g., "Thu, 12 Sep 2019")
- * @param {string|Date} date - The date to format
+ * @param {string|number|Date} date - The date to format: a YYYY-MM-DD key, a timestamp or a date
  * @returns {string} The formatted date string
  */
 function formatDate(date) {
-    const d = new Date(date);
+    // new Date() would read a date key as UTC, a day early west of UTC
+    const d = typeof date === 'string' ? parseDateKey(date) : new Date(date);
     const options = { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' };
     return d.toLocaleDateString('en-US', options);
 }
@@ -416,33 +2210,38 @@ function formatDate(date) {
  * @param {string} filter - The filter to apply (e.g., "Today", "Work", etc.)
  */
 function filterTasks(filter) {
+    renderTasks(getListTasks(filter));
+}
+
+/**
+ * Get the tasks in a sidebar list
+ * @param {string} filter - The name of a smart list, project or tag
+ * @returns {Array} The tasks in the list
+ */
+function getListTasks(filter) {
     let filteredTasks = [];
     
     // Apply different filters based on the selected list
     switch (filter) {
-        case 'Today':
-            // Get today's date in YYYY-MM-DD format
-            const today = new Date().toISOString().split('T')[0];
-            filteredTasks = tasks.filter(task => task.dueDate === today);
+        case 'Today': {
+            // Overdue tasks stay in Today until they are done or rescheduled
+            const today = getDayKey();
+            filteredTasks = tasks.filter(task => task.dueDate === today || isOverdue(task));
             break;
-        case 'Tomorrow':
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const tomorrowStr = tomorrow.toISOString().split('T')[0];
-            filteredTasks = tasks.filter(task => task.dueDate === tomorrowStr);
+        }
+        case 'Tomorrow': {
+            const tomorrow = getDayKey(1);
+            filteredTasks = tasks.filter(task => task.dueDate === tomorrow);
             break;
-        case 'This Week':
-            const now = new Date();
-            const weekStart = new Date(now);
-            weekStart.setDate(now.getDate() - now.getDay());
-            const weekEnd = new Date(weekStart);
-            weekEnd.setDate(weekStart.getDate() + 6);
-            
-            filteredTasks = tasks.filter(task => {
-                if (!task.dueDate) return false;
-                const dueDate = new Date(task.dueDate);
-                return dueDate >= weekStart && dueDate <= weekEnd;
-            });
+        }
+        case 'This Week': {
+            const week = getWeekRange();
+            filteredTasks = tasks.filter(task => task.dueDate && task.dueDate >= week.start && task.dueDate <= week.end);
+            break;
+        }
+        case 'Planned':
+            // Open tasks with a due date, whenever it is
+            filteredTasks = tasks.filter(task => task.dueDate && !task.completed);
             break;
         case 'High Priority':
             filteredTasks = tasks.filter(task => task.priority >= 3);
@@ -457,14 +2256,47 @@ function filterTasks(filter) {
             filteredTasks = tasks.filter(task => !task.completed);
             break;
         default:
-            // For projects and tags
-            filteredTasks = tasks.filter(task => 
-                task.project === filter || 
-                (task.tags && task.tags.includes(filter.toLowerCase()))
-            );
+            // "#key" for a tag, otherwise a project
+            if (filter.startsWith('#')) {
+                filteredTasks = tasks.filter(task => (task.tags || []).includes(filter.slice(1)));
+            } else {
+                filteredTasks = tasks.filter(task => task.project === filter);
+            }
     }
     
-    renderTasks(filteredTasks);
+    return filteredTasks;
+}
+
+/**
+ * Update the open task count and estimated time of every sidebar list
+ */
+function updateSidebarCounts() {
+    document.querySelectorAll('.sidebar .list-item').forEach(item => {
+        const count = item.querySelector('.list-count');
+        const duration = item.querySelector('.list-duration');
+        if (!count && !duration) return;
+        
+        const list = item.dataset.tag ? `#${item.dataset.tag}` : item.querySelector('.list-name').textContent;
+        const openTasks = getListTasks(list).filter(task => !task.completed);
+        
+        if (count) {
+            count.textContent = openTasks.length;
+        }
+        if (duration) {
+            duration.textContent = formatDuration(openTasks.reduce((sum, task) => sum + (task.estimatedTime || 0), 0));
+        }
+    });
+}
+
+/**
+ * Format minutes as a duration like "3h 45m"
+ * @param {number} totalMinutes - The duration in minutes
+ * @returns {string} The formatted duration
+ */
+function formatDuration(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
 }
 
 /**
@@ -475,37 +2307,63 @@ function renderTasks(tasksToRender = tasks) {
     const taskGroupsContainer = document.querySelector('.task-groups');
     taskGroupsContainer.innerHTML = ''; // Clear existing tasks
     
-    // Group tasks by project
-    const tasksByProject = groupTasksByProject(tasksToRender);
+    // While searching, only matching tasks are shown
+    const searchTerms = activeSearch ? activeSearch.terms : [];
+    if (activeSearch) {
+        tasksToRender = tasksToRender.filter(task => matchesSearch(task, activeSearch));
+        if (tasksToRender.length === 0) {
+            taskGroupsContainer.innerHTML = '<div class="search-empty">No tasks match your search</div>';
+        }
+    }
+    
+    // Today shows its overdue tasks in a section of their own, oldest first
+    const overdueTasks = !activeSearch && getCurrentListKey() === 'Today'
+        ? sortTasks(tasksToRender.filter(task => isOverdue(task)), 'dueDate')
+        : [];
+    
+    // Group and sort the other tasks the way the current list is viewed
+    const view = getViewMode(getCurrentListKey());
+    const groups = groupTasks(sortTasks(tasksToRender.filter(task => !overdueTasks.includes(task)), view.sortBy), view.groupBy);
+    if (overdueTasks.length > 0) {
+        groups.unshift({ key: null, overdue: true, tasks: overdueTasks });
+    }
     
     // Render each group
-    Object.entries(tasksByProject).forEach(([project, projectTasks]) => {
-        // Calculate total estimated time for this project
-        const totalTime = projectTasks.reduce(function(sum, task) {
+    groups.forEach(group => {
+        const groupLabel = group.overdue ? 'Overdue' : getGroupLabel(view.groupBy, group.key);
+        
+        // Calculate total estimated time for this group
+        const totalTime = group.tasks.reduce(function(sum, task) {
             return sum + (task.estimatedTime || 0);
         }, 0);
         const hours = Math.floor(totalTime / 60);
         const minutes = totalTime % 60;
         const timeString = hours > 0 ? `${hours}h${minutes}m` : `${minutes}m`;
         
-        // Create project group element
+        // Create group element
         const taskGroup = document.createElement('div');
         taskGroup.classList.add('task-group');
+        if (group.overdue) {
+            taskGroup.classList.add('overdue-group');
+        }
         
+        // Tasks can't be dropped into the overdue section, so it has no group mode
         taskGroup.innerHTML = `
             <div class="task-group-header">
-                <h2>${project} <span class="time-info">• ${timeString}</span></h2>
+                <h2>${escapeHtml(groupLabel)} <span class="time-info">• ${timeString}</span></h2>
+                ${group.overdue ? '<button class="reschedule-overdue-btn" title="Move all overdue tasks to today">Reschedule to today</button>' : ''}
+                <button class="select-group-btn" aria-label="Select all tasks in ${escapeHtml(groupLabel)}" title="Select all"><i class="fa-regular fa-square-check"></i></button>
             </div>
-            <div class="tasks" data-project="${project}"></div>
+            <div class="tasks" data-group-by="${group.overdue ? 'overdue' : view.groupBy}" data-group="${escapeHtml(String(group.key ?? ''))}"></div>
         `;
         
         taskGroupsContainer.appendChild(taskGroup);
         
-        // Get the tasks container for this project
+        // Get the tasks container for this group
         const tasksContainer = taskGroup.querySelector('.tasks');
         
-        // Add tasks for this project
-        projectTasks.forEach(task => {
+        // Add tasks for this group
+        group.tasks.forEach(task => {
             const taskEl = document.createElement('div');
             taskEl.classList.add('task');
             if (task.completed) {
@@ -513,6 +2371,19 @@ function renderTasks(tasksToRender = tasks) {
             }
             taskEl.dataset.taskId = task.id;
             
+            // Make tasks draggable, and focusable for keyboard reordering
+            taskEl.draggable = true;
+            taskEl.tabIndex = 0;
+            if (task.id == selectedTaskId) {
+                taskEl.classList.add('selected');
+            }
+            
+            // Open tasks waiting for other open tasks are shown as blocked
+            const blockers = task.completed ? [] : getOpenBlockers(task, tasks);
+            if (blockers.length > 0) {
+                taskEl.classList.add('blocked');
+            }
+            
             // Determine priority class
             let priorityDots = '';
             for (let i = 0; i < 4; i++) {
@@ -523,54 +2394,142 @@ function renderTasks(tasksToRender = tasks) {
             let tagsHtml = '';
             if (task.tags && task.tags.length > 0) {
                 task.tags.forEach(tag => {
-                    tagsHtml += `<span class="tag ${tag}">#${tag}</span>`;
+                    tagsHtml += renderTagLabel(tag);
                 });
             }
             
+            // Show where the search matched if it wasn't the name
+            const snippet = findMatchSnippet(task, searchTerms);
+            
+            // Show how many subtasks are done, e.g. "2/5"
+            const subtasks = task.subtasks || [];
+            const subtaskProgress = subtasks.length > 0
+                ? `<span class="task-subtask-progress" title="Subtasks completed"><i class="fa-solid fa-list-check"></i> ${subtasks.filter(s => s.completed).length}/${subtasks.length}</span>`
+                : '';
+            
             // Create task HTML
             taskEl.innerHTML = `
                 <div class="task-checkbox">
                     <i class="${task.completed ? 'fa-solid fa-check-circle' : 'fa-regular fa-circle'}"></i>
                 </div>
                 <div class="task-content">
-                    <div class="task-name">${task.name} ${tagsHtml}</div>
+                    <div class="task-name">${highlightMatches(task.name, searchTerms)} ${tagsHtml}</div>
                     <div class="task-metadata">
                         <div class="task-priority">
                             ${priorityDots}
                         </div>
+                        ${task.reminder && !task.completed ? `<span class="task-reminder" title="Reminder: ${escapeHtml(describeReminder(task.reminder))}"><i class="fa-regular fa-bell"></i></span>` : ''}
+                        ${task.recurrence ? `<span class="task-repeat" title="${escapeHtml(describeRecurrence(task.recurrence))}"><i class="fa-solid fa-repeat"></i></span>` : ''}
+                        ${subtaskProgress}
+                        ${blockers.length > 0 ? `<span class="task-blocked" title="Waiting for ${escapeHtml(blockers.map(b => b.name).join(', '))}"><i class="fa-solid fa-lock"></i> Blocked</span>` : ''}
+                        ${snippet ? `<span class="task-search-snippet">${highlightMatches(snippet, searchTerms)}</span>` : ''}
                     </div>
                 </div>
-                <div class="task-date">${task.dueDate ? formatDate(task.dueDate) : ''}</div>
+                <div class="task-date${isOverdue(task) ? ' overdue' : ''}">${task.dueDate ? formatDate(task.dueDate) : ''}${task.dueTime ? ` ${task.dueTime}` : ''}</div>
             `;
             
             tasksContainer.appendChild(taskEl);
         });
     });
     
-    // Set up drag and drop for tasks
-    setupDragAndDrop();
-    
     // Update task statistics
     updateTaskStatistics(tasksToRender);
     
+    // Update the counts in the sidebar
+    updateSidebarCounts();
+    
     // Update progress tracking
     updateProgress(tasksToRender);
+    
+    // Keep the bulk selection on the tasks still shown
+    renderMultiSelection();
+}
+
+/**
+ * Get the heading of a task group
+ * @param {string} groupBy - The group mode
+ * @param {string|number|null} key - The group key
+ * @returns {string} The heading
+ */
+function getGroupLabel(groupBy, key) {
+    switch (groupBy) {
+        case 'dueDate':
+            return key ? formatDate(parseDateKey(key)) : 'No due date';
+        case 'priority':
+            return ['No priority', 'Low priority', 'Medium priority', 'High priority', 'Urgent'][key];
+        case 'tag':
+            return key ? `#${findTag(key)?.name || key}` : 'No tags';
+        case 'none':
+            return 'Tasks';
+        default:
+            return key;
+    }
+}
+
+/**
+ * Get the key the view of the current list is remembered by
+ * @returns {string} The name of the list, "#key" for tags, or "Search"
+ */
+function getCurrentListKey() {
+    if (activeSearch) return 'Search';
+    if (tagFilter.keys.length > 0) {
+        return [...tagFilter.keys].sort().map(key => `#${key}`).join(' ');
+    }
+    
+    const activeItem = document.querySelector('.sidebar .list-item.active');
+    return activeItem ? activeItem.querySelector('.list-name').textContent : 'All';
 }
 
 /**
- * Group tasks by their project
- * @param {Array} tasksToGroup - The tasks to group
- * @returns {Object} Tasks grouped by project
+ * Set up the view menu that picks how the current list is grouped and sorted
  */
-function groupTasksByProject(tasksToGroup) {
-    return tasksToGroup.reduce((groups, task) => {
-        const project = task.project || 'Uncategorized';
-        if (!groups[project]) {
-            groups[project] = [];
+function setupViewMenu() {
+    const viewMenuButton = document.querySelector('.view-menu-btn');
+    const viewMenu = document.querySelector('.view-menu');
+    const groupSelect = viewMenu.querySelector('.group-by-select');
+    const sortSelect = viewMenu.querySelector('.sort-by-select');
+    
+    viewMenuButton.addEventListener('click', function(e) {
+        e.stopPropagation();
+        const isOpen = viewMenu.style.display !== 'none';
+        
+        // Show the view of the current list
+        const view = getViewMode(getCurrentListKey());
+        groupSelect.value = view.groupBy;
+        sortSelect.value = view.sortBy;
+        
+        viewMenu.style.display = isOpen ? 'none' : 'block';
+        this.setAttribute('aria-expanded', String(!isOpen));
+    });
+    
+    // Close the menu when clicking elsewhere
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('.view-menu')) {
+            viewMenu.style.display = 'none';
+            viewMenuButton.setAttribute('aria-expanded', 'false');
         }
-        groups[project].push(task);
-        return groups;
-    }, {});
+    });
+    
+    groupSelect.addEventListener('change', function() {
+        setViewMode(getCurrentListKey(), { groupBy: this.value });
+        showCurrentList();
+    });
+    
+    sortSelect.addEventListener('change', function() {
+        setViewMode(getCurrentListKey(), { sortBy: this.value });
+        showCurrentList();
+    });
+}
+
+/**
+ * Render the current list again: the search results or the list selected in the sidebar
+ */
+function showCurrentList() {
+    if (activeSearch) {
+        renderTasks();
+    } else {
+        showSelectedList();
+    }
 }
 
 /**
@@ -702,136 +2661,316 @@ function createSampleTasks() {
 
 /**
  * Set up drag and drop functionality for tasks
+ * Tasks are reordered within their group, take on the project, due date, priority or tag
+ * of another group they are dropped on, and can be dropped on sidebar lists.
+ * The listeners are delegated from the task list, so they outlive every render.
  */
 function setupDragAndDrop() {
-    const taskElements = document.querySelectorAll('.task');
-    let draggedTask = null;
+    const taskGroups = document.querySelector('.task-groups');
     
-    taskElements.forEach(task => {
-        // Make tasks draggable
-        task.setAttribute('draggable', true);
+    // Drag start event
+    taskGroups.addEventListener('dragstart', function(e) {
+        const task = e.target.closest('.task');
+        if (!task) return;
         
-        // Drag start event
-        task.addEventListener('dragstart', function(e) {
-            draggedTask = this;
-            this.classList.add('dragging');
-            
-            // Required for Firefox
-            e.dataTransfer.setData('text/plain', '');
-            e.dataTransfer.effectAllowed = 'move';
-        });
+        // Reordering changes other tasks, which strict mode forbids
+        if (strictLock.locked) {
+            e.preventDefault();
+            flashStrictModeBanner();
+            return;
+        }
         
-        // Drag end event
-        task.addEventListener('dragend', function() {
-            this.classList.remove('dragging');
-            draggedTask = null;
-        });
+        draggedTaskId = task.dataset.taskId;
+        task.classList.add('dragging');
         
-        // Drag over event
-        task.addEventListener('dragover', function(e) {
+        // Required for Firefox
+        e.dataTransfer.setData('text/plain', '');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    
+    // Drag end event
+    taskGroups.addEventListener('dragend', function(e) {
+        const task = e.target.closest('.task');
+        if (task) {
+            task.classList.remove('dragging');
+        }
+        draggedTaskId = null;
+    });
+    
+    // Drag over event, anywhere in a group including empty space and the header
+    taskGroups.addEventListener('dragover', function(e) {
+        if (draggedTaskId && e.target.closest('.task-group')) {
             e.preventDefault();
             e.dataTransfer.dropEffect = 'move';
-        });
-        
-        // Drag enter event
-        task.addEventListener('dragenter', function(e) {
+        }
+    });
+    
+    // Drag enter event
+    taskGroups.addEventListener('dragenter', function(e) {
+        const task = e.target.closest('.task');
+        if (task) {
             e.preventDefault();
-            this.classList.add('drag-over');
-        });
+            task.classList.add('drag-over');
+        }
+    });
+    
+    // Drag leave event
+    taskGroups.addEventListener('dragleave', function(e) {
+        const task = e.target.closest('.task');
+        if (task && !task.contains(e.relatedTarget)) {
+            task.classList.remove('drag-over');
+        }
+    });
+    
+    // Drop event
+    taskGroups.addEventListener('drop', function(e) {
+        const group = e.target.closest('.task-group');
+        const draggedTask = draggedTaskId ? findTaskElement(draggedTaskId) : null;
+        if (!group || !draggedTask) return;
+        e.preventDefault();
         
-        // Drag leave event
-        task.addEventListener('dragleave', function() {
-            this.classList.remove('drag-over');
-        });
+        // The list is re-rendered below, so the dragged element may never see its dragend
+        draggedTaskId = null;
+        draggedTask.classList.remove('dragging');
         
-        // Drop event
-        task.addEventListener('drop', function(e) {
-            e.preventDefault();
-            this.classList.remove('drag-over');
-            
-            if (draggedTask && draggedTask !== this) {
-                const tasksContainer = this.closest('.tasks');
-                const taskList = Array.from(tasksContainer.querySelectorAll('.task'));
-                
-                // Get indices for reordering
-                const fromIndex = taskList.indexOf(draggedTask);
-                const toIndex = taskList.indexOf(this);
-                
-                // Reorder in DOM
-                if (fromIndex < toIndex) {
-                    tasksContainer.insertBefore(draggedTask, this.nextSibling);
-                } else {
-                    tasksContainer.insertBefore(draggedTask, this);
-                }
-                
-                // Update task order in the data model
-                reorderTasks(fromIndex, toIndex, this.closest('.tasks').dataset.project);
+        const targetTask = e.target.closest('.task');
+        if (targetTask) {
+            targetTask.classList.remove('drag-over');
+        }
+        if (targetTask === draggedTask) return;
+        
+        const tasksContainer = group.querySelector('.tasks');
+        const sourceContainer = draggedTask.closest('.tasks');
+        
+        // Dropping in another group moves the task into it, next to the task dropped on or at the end
+        if (sourceContainer !== tasksContainer) {
+            const lastTask = tasksContainer.querySelector('.task:last-child');
+            let position = null;
+            if (targetTask) {
+                position = { taskId: targetTask.dataset.taskId, after: false };
+            } else if (lastTask) {
+                position = { taskId: lastTask.dataset.taskId, after: true };
             }
-        });
+            moveTaskToGroup(draggedTask.dataset.taskId, tasksContainer, sourceContainer, position);
+            return;
+        }
+        
+        // Sorted lists have no manual order to change, and the group's free space keeps the order
+        if (!targetTask || getViewMode(getCurrentListKey()).sortBy !== 'manual') return;
+        
+        const taskList = Array.from(tasksContainer.querySelectorAll('.task'));
+        const taskIds = taskList.map(taskEl => taskEl.dataset.taskId);
+        
+        // Update task order in the data model, then show it
+        reorderTasks(taskList.indexOf(draggedTask), taskList.indexOf(targetTask), taskIds);
+        showCurrentList();
     });
+}
+
+/**
+ * Move a task up or down with the keyboard
+ * Moving past the first or last task of a group moves it into the neighbouring group.
+ * @param {HTMLElement} taskElement - The task's element
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+function moveTaskByKeyboard(taskElement, direction) {
+    // Reordering changes other tasks, which strict mode forbids
+    if (strictLock.locked) {
+        flashStrictModeBanner();
+        return;
+    }
     
-    // Make task containers droppable as well
-    document.querySelectorAll('.tasks').forEach(container => {
-        // Drag over event
-        container.addEventListener('dragover', function(e) {
-            e.preventDefault();
-            const taskElements = this.querySelectorAll('.task');
-            if (taskElements.length === 0 || e.target === this) {
-                e.dataTransfer.dropEffect = 'move';
-            }
-        });
+    const taskId = taskElement.dataset.taskId;
+    const tasksContainer = taskElement.closest('.tasks');
+    const taskList = Array.from(tasksContainer.querySelectorAll('.task'));
+    const fromIndex = taskList.indexOf(taskElement);
+    const toIndex = fromIndex + direction;
+    
+    if (toIndex >= 0 && toIndex < taskList.length) {
+        // Sorted lists have no manual order to change
+        if (getViewMode(getCurrentListKey()).sortBy !== 'manual') return;
         
-        // Drop event for empty containers
-        container.addEventListener('drop', function(e) {
-            if (e.target === this && draggedTask) {
-                e.preventDefault();
-                
-                // Get the project this container belongs to
-                const project = this.dataset.project;
-                
-                // Move task to this project and to the end
-                const task = tasks.find(t => t.id == draggedTask.dataset.taskId);
-                if (task) {
-                    task.project = project;
-                    
-                    // Append the dragged task to the container
-                    this.appendChild(draggedTask);
-                    
-                    // Save changes
-                    saveState({ tasks });
+        reorderTasks(fromIndex, toIndex, taskList.map(taskEl => taskEl.dataset.taskId));
+        showCurrentList();
+    } else {
+        const containers = Array.from(document.querySelectorAll('.task-groups .tasks'));
+        const targetContainer = containers[containers.indexOf(tasksContainer) + direction];
+        if (!targetContainer) return;
+        
+        // Enter the next group at its top, or the previous group at its bottom
+        const targetTasks = Array.from(targetContainer.querySelectorAll('.task'));
+        const neighbour = direction > 0 ? targetTasks[0] : targetTasks[targetTasks.length - 1];
+        const position = neighbour ? { taskId: neighbour.dataset.taskId, after: direction < 0 } : null;
+        moveTaskToGroup(taskId, targetContainer, tasksContainer, position);
+    }
+    
+    // Keep the focus on the moved task
+    const movedElement = findTaskElement(taskId);
+    if (movedElement) {
+        movedElement.focus();
+    }
+}
+
+/**
+ * Move a task into another group of the task list
+ * @param {string} taskId - The ID of the task
+ * @param {HTMLElement} targetContainer - The tasks container of the group to move to
+ * @param {HTMLElement} sourceContainer - The tasks container the task comes from
+ * @param {Object|null} position - The task to place it next to (taskId, after), or null to keep its place
+ */
+function moveTaskToGroup(taskId, targetContainer, sourceContainer, position) {
+    const { groupBy } = targetContainer.dataset;
+    const groupKey = targetContainer.dataset.group || null;
+    const change = getGroupChange(groupBy, groupKey, sourceContainer.dataset.group || null);
+    
+    const task = tasks.find(t => t.id == taskId);
+    if (!task || !change || !canEditTask(taskId)) return;
+    
+    // Sorted lists place the task by its new values
+    const manualOrder = getViewMode(getCurrentListKey()).sortBy === 'manual';
+    moveTask(task, `Moved "${task.name}" to ${getGroupLabel(groupBy, groupKey)}`, change, manualOrder ? position : null);
+}
+
+/**
+ * Get the change that puts a task in a group
+ * @param {string} groupBy - The group mode
+ * @param {string|null} groupKey - The key of the group to move to
+ * @param {string|null} sourceKey - The key of the group the task comes from
+ * @returns {Function|null} Changes a task, or null if tasks can't be moved between these groups
+ */
+function getGroupChange(groupBy, groupKey, sourceKey) {
+    switch (groupBy) {
+        case 'project':
+            return task => {
+                task.project = ensureProject(groupKey);
+            };
+        case 'dueDate':
+            return task => {
+                task.dueDate = groupKey;
+                if (!groupKey) {
+                    delete task.dueTime;
                 }
-            }
-        });
+            };
+        case 'priority':
+            return task => {
+                task.priority = Number(groupKey);
+            };
+        case 'tag':
+            // The task leaves the tag it was dragged from; "No tags" removes all tags
+            return task => {
+                const otherTags = (task.tags || []).filter(tag => tag !== sourceKey);
+                task.tags = groupKey ? [...new Set([...otherTags, groupKey])] : [];
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the change that puts a task in a sidebar list
+ * @param {HTMLElement} item - The sidebar list item
+ * @returns {Object|null} The list's name (label) and the change, or null if tasks can't be dropped on it
+ */
+function getListDropChange(item) {
+    if (item.dataset.tag) {
+        const key = item.dataset.tag;
+        return {
+            label: `#${findTag(key)?.name || key}`,
+            change: task => {
+                task.tags = [...new Set([...(task.tags || []), key])];
+            },
+        };
+    }
+    
+    const listName = item.querySelector('.list-name').textContent;
+    if (item.dataset.projectId) {
+        return {
+            label: listName,
+            change: task => {
+                task.project = ensureProject(listName);
+            },
+        };
+    }
+    
+    switch (listName) {
+        case 'Today':
+        case 'Tomorrow': {
+            const dueDate = getDayKey(listName === 'Today' ? 0 : 1);
+            return {
+                label: listName,
+                change: task => {
+                    task.dueDate = dueDate;
+                },
+            };
+        }
+        case 'High Priority':
+            return {
+                label: listName,
+                change: task => {
+                    task.priority = Math.max(task.priority || 0, 3);
+                },
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Change a task and move it in the manual order, as one undoable change
+ * @param {Object} task - The task
+ * @param {string} label - What the move did, shown in the undo toast
+ * @param {Function} change - Changes the task
+ * @param {Object|null} position - The task to place it next to (taskId, after), or null to keep its place
+ */
+function moveTask(task, label, change, position) {
+    runTaskCommand(label, () => {
+        change(task);
+        
+        if (position) {
+            tasks.splice(tasks.indexOf(task), 1);
+            const index = tasks.findIndex(t => t.id == position.taskId);
+            tasks.splice(index === -1 ? tasks.length : index + (position.after ? 1 : 0), 0, task);
+        }
+        
+        saveState({ tasks });
     });
+    
+    showCurrentList();
+    
+    if (task.id == selectedTaskId) {
+        selectTask(selectedTaskId);
+    }
 }
 
 /**
  * Reorder tasks in the data model
  * @param {number} fromIndex - The source index
  * @param {number} toIndex - The target index
- * @param {string} project - The project the tasks belong to
+ * @param {Array} taskIds - The IDs of the tasks in the group, in their order before the move
  */
-function reorderTasks(fromIndex, toIndex, project) {
-    // Filter tasks for this project
-    const projectTasks = tasks.filter(task => task.project === project);
+function reorderTasks(fromIndex, toIndex, taskIds) {
+    // Get the tasks of the group, which may be a filtered part of a project
+    const groupedTasks = taskIds.map(id => tasks.find(task => task.id == id));
     
     // Get the task to move
-    const taskToMove = projectTasks[fromIndex];
-    
-    // Remove from old position
-    projectTasks.splice(fromIndex, 1);
+    const taskToMove = groupedTasks[fromIndex];
     
-    // Insert at new position
-    projectTasks.splice(toIndex, 0, taskToMove);
-    
-    // Update order in the complete tasks array
-    let projectTaskIndex = 0;
-    tasks.forEach((task, index) => {
-        if (task.project === project) {
-            tasks[index] = projectTasks[projectTaskIndex++];
-        }
+    runTaskCommand(`Moved "${taskToMove.name}"`, () => {
+        // Remove from old position
+        groupedTasks.splice(fromIndex, 1);
+        
+        // Insert at new position
+        groupedTasks.splice(toIndex, 0, taskToMove);
+        
+        // Update order in the complete tasks array, reusing the group's positions
+        let groupedTaskIndex = 0;
+        tasks.forEach((task, index) => {
+            if (taskIds.includes(String(task.id))) {
+                tasks[index] = groupedTasks[groupedTaskIndex++];
+            }
+        });
+        
+        // Save changes
+        saveState({ tasks });
     });
-    
-    // Save changes
-    saveState({ tasks });
 }
@@ -3,27 +3,50 @@
  * Handles the Pomodoro timer functionality
  */
 
-import { saveState } from './storage.js';
-
-// Default timer settings
-const DEFAULT_SETTINGS = {
-    pomodoro: 25 * 60, // 25 minutes in seconds
-    shortBreak: 5 * 60, // 5 minutes in seconds
-    longBreak: 15 * 60, // 15 minutes in seconds
-    longBreakInterval: 4, // After 4 pomodoros, take a long break
-};
+import { saveState, getState, onExternalStateChange } from './storage.js';
+import { getSettings, getDurationSeconds, onSettingsChange } from './settings.js';
+import { playAlarm, startFocusSounds, stopFocusSounds } from './sound.js';
+import { startSession, pauseSession, resumeSession, endSession, addInterruption } from './sessions.js';
+import { TAB_ID, setTimerOwnerCheck, onTimerOwnerLeft, findOtherTimerOwner } from './sync.js';
+import { showTabIndicator, hideTabIndicator } from './indicator.js';
+import { getOpenBlockers } from './dependencies.js';
+import { showNotification } from './utils.js';
 
 // Timer state
 let timerState = {
-    currentMode: 'pomodoro', // 'pomodoro', 'shortBreak', or 'longBreak'
-    timeRemaining: DEFAULT_SETTINGS.pomodoro, // Time remaining in seconds
+    currentMode: 'pomodoro', // 'pomodoro', 'shortBreak', 'longBreak', or 'stopwatch'
+    duration: getDurationSeconds('pomodoro'), // Full length of the current session in seconds
+    timeRemaining: getDurationSeconds('pomodoro'), // Time remaining in seconds
     isRunning: false,
+    startedAt: null, // Timestamp (ms) when the running session was last started or resumed
+    endsAt: null, // Timestamp (ms) when the running session will end (null for the stopwatch)
+    stopwatchElapsed: 0, // Seconds the stopwatch counted before it was last started
     currentTask: null, // The task currently being worked on
     completedPomodoros: 0, // Number of completed pomodoros
+    completedCycles: 0, // Pomodoros completed in the current auto-started run
+    activeSessionId: null, // Session log entry of the session in progress
+    ownerTabId: null, // The tab that completes the running session and plays its sounds
+};
+
+// How often the display is refreshed while running (ms)
+const TICK_INTERVAL = 250;
+
+// How long after a session's end another tab waits for its owner before completing it (ms)
+const OWNER_TAKEOVER_DELAY = 5000;
+
+// Labels for each timer mode
+const MODE_LABELS = {
+    pomodoro: 'Focus',
+    shortBreak: 'Short break',
+    longBreak: 'Long break',
+    stopwatch: 'Stopwatch',
 };
 
 let timerInterval = null;
 
+// Whether strict mode currently locks the app to the running pomodoro
+let strictLockActive = false;
+
 // External dependencies
 let selectedTaskId = null;
 let tasks = [];
@@ -51,6 +74,19 @@ export function initPomodoroTimer() {
     // Set up event listeners for timer controls
     setupTimerEventListeners();
     
+    // Restore a saved (possibly still running) session
+    restoreTimerState();
+    onSettingsChange(applySettings);
+    
+    // Share one running timer between tabs
+    setTimerOwnerCheck(isTimerOwner);
+    onTimerOwnerLeft(claimTimerOwnership);
+    onExternalStateChange((changedKeys, state) => {
+        if (changedKeys.includes('timerState')) {
+            adoptTimerState(state.timerState);
+        }
+    });
+    
     // Update the timer display initially
     updateTimerDisplay();
     
@@ -63,11 +99,29 @@ export function initPomodoroTimer() {
  */
 function setupTimerEventListeners() {
     // Timer play/pause button
-    const timerButton = document.querySelector('.timer-control-btn');
+    const timerButton = document.querySelector('.timer-control-btn.play');
     if (timerButton) {
         timerButton.addEventListener('click', toggleTimer);
     }
     
+    // Stop/abandon, skip break and interruption buttons
+    document.querySelector('.timer-control-btn.stop').addEventListener('click', stopTimer);
+    document.querySelector('.timer-control-btn.skip').addEventListener('click', skipBreak);
+    document.querySelector('.timer-control-btn.interrupt').addEventListener('click', toggleInterruptionForm);
+    
+    // Switch between the pomodoro countdown and the count-up stopwatch
+    document.querySelector('.timer-mode-btn').addEventListener('click', toggleStopwatchMode);
+    
+    // Log an interruption
+    document.querySelector('.interruption-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        const type = this.querySelector('[name="interruptionType"]:checked').value;
+        const note = this.querySelector('[name="interruptionNote"]').value.trim();
+        logInterruption(type, note);
+        this.reset();
+        this.style.display = 'none';
+    });
+    
     // Start a Pomodoro from task details
     document.addEventListener('click', function(e) {
         const pomodoroStarter = e.target.closest('.pomodoro-quantity');
@@ -87,6 +141,156 @@ function setupTimerEventListeners() {
     closeButton.addEventListener('click', function() {
         timerModal.style.display = 'none';
     });
+    
+    // Warn before leaving the page during a strict pomodoro
+    window.addEventListener('beforeunload', function(e) {
+        if (isStrictLockActive()) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
+    
+    // Catch up immediately when a throttled background tab becomes visible
+    document.addEventListener('visibilitychange', function() {
+        if (!document.hidden && timerState.isRunning) {
+            tickTimer();
+        }
+    });
+}
+
+/**
+ * Restore the timer state saved in storage
+ * A session that was running when the page closed is resumed, or completed
+ * if its end time has already passed.
+ */
+function restoreTimerState() {
+    const savedTimerState = getState().timerState || {};
+    timerState = { ...timerState, ...savedTimerState };
+    
+    // States saved without a session length start a fresh session
+    if (!savedTimerState.duration) {
+        timerState.duration = getModeDuration(timerState.currentMode);
+        timerState.timeRemaining = timerState.duration;
+    }
+    
+    updateTimerTaskName();
+    
+    if (timerState.isRunning) {
+        if (timerState.currentMode !== 'stopwatch' && !timerState.endsAt) {
+            // Running without an end time cannot be resumed reliably
+            timerState.isRunning = false;
+            timerState.startedAt = null;
+        } else if (isPastTakeoverDelay()) {
+            // The session ended while the page was closed; don't chain a new one from it
+            timerState.ownerTabId = TAB_ID;
+            completeTimer(false);
+            return;
+        } else {
+            resumeTimer();
+            
+            // Take the session over unless another open tab is running it
+            findOtherTimerOwner().then(found => {
+                if (!found) {
+                    claimTimerOwnership();
+                }
+            });
+            return;
+        }
+    }
+    
+    updateTimerDisplay();
+}
+
+/**
+ * Check whether this tab owns the running timer
+ * @returns {boolean} True if this tab completes the session and plays its sounds
+ */
+function isTimerOwner() {
+    return timerState.isRunning && timerState.ownerTabId === TAB_ID;
+}
+
+/**
+ * Check whether the running session ended long enough ago that its owner
+ * has evidently gone away
+ * @returns {boolean} True if any tab may complete the session
+ */
+function isPastTakeoverDelay() {
+    return Boolean(timerState.endsAt) && Date.now() - timerState.endsAt > OWNER_TAKEOVER_DELAY;
+}
+
+/**
+ * Make this tab the owner of the running timer
+ */
+function claimTimerOwnership() {
+    if (!timerState.isRunning || isTimerOwner()) return;
+    
+    timerState.ownerTabId = TAB_ID;
+    resumeTimer();
+    
+    saveState({ timerState });
+}
+
+/**
+ * Take over timer state saved by another tab
+ * @param {Object} savedTimerState - The timer state saved by the other tab
+ */
+function adoptTimerState(savedTimerState) {
+    timerState = { ...timerState, ...savedTimerState };
+    updateTimerTaskName();
+    
+    if (timerState.isRunning) {
+        resumeTimer();
+    } else {
+        clearInterval(timerInterval);
+        stopFocusSounds();
+        
+        const timerButton = document.querySelector('.timer-control-btn.play');
+        timerButton.innerHTML = '<i class="fa-solid fa-play"></i>';
+        
+        updateTimerDisplay();
+    }
+}
+
+/**
+ * Get the seconds left in the current session
+ * While running, this is derived from the wall clock so that throttled
+ * intervals and reloads do not make the timer drift.
+ * @returns {number} The remaining time in seconds
+ */
+function getRemainingSeconds() {
+    if (timerState.isRunning && timerState.endsAt) {
+        return Math.max(0, Math.ceil((timerState.endsAt - Date.now()) / 1000));
+    }
+    return timerState.timeRemaining;
+}
+
+/**
+ * Get the seconds counted by the stopwatch, including the current run
+ * @returns {number} The elapsed time in seconds
+ */
+function getStopwatchSeconds() {
+    if (timerState.isRunning && timerState.startedAt) {
+        return timerState.stopwatchElapsed + Math.floor((Date.now() - timerState.startedAt) / 1000);
+    }
+    return timerState.stopwatchElapsed;
+}
+
+/**
+ * Get the full length of a session in a timer mode
+ * @param {string} mode - The timer mode
+ * @returns {number} The duration in seconds (0 for the open-ended stopwatch)
+ */
+function getModeDuration(mode) {
+    return mode === 'stopwatch' ? 0 : getDurationSeconds(mode);
+}
+
+/**
+ * Check whether a timer mode is used for focused work
+ * @param {string} mode - The timer mode
+ * @returns {boolean} True for the pomodoro and stopwatch modes
+ */
+function isFocusMode(mode) {
+    return mode === 'pomodoro' || mode === 'stopwatch';
 }
 
 /**
@@ -94,6 +298,8 @@ function setupTimerEventListeners() {
  */
 function toggleTimer() {
     if (timerState.isRunning) {
+        // Strict mode makes pausing a pomodoro a deliberate decision
+        if (isStrictLockActive() && !confirm('Strict mode is on. Pause this pomodoro anyway?')) return;
         pauseTimer();
     } else {
         startTimer();
@@ -105,29 +311,72 @@ function toggleTimer() {
  */
 function startTimer() {
     timerState.isRunning = true;
+    timerState.ownerTabId = TAB_ID;
+    
+    // Record when the session ends so remaining time can be derived from the clock
+    timerState.startedAt = Date.now();
+    timerState.endsAt = timerState.currentMode === 'stopwatch'
+        ? null
+        : timerState.startedAt + timerState.timeRemaining * 1000;
+    
+    // Log a new session, or the end of a pause in the current one
+    if (timerState.activeSessionId) {
+        resumeSession(timerState.activeSessionId, timerState.startedAt);
+    } else {
+        timerState.activeSessionId = startSession(timerState.currentTask, timerState.currentMode, timerState.startedAt, {
+            strictMode: getSettings().strictMode && timerState.currentMode === 'pomodoro',
+        });
+    }
     
+    resumeTimer();
+    
+    saveState({ timerState });
+}
+
+/**
+ * Resume ticking for a session that is already marked as running
+ */
+function resumeTimer() {
     // Update the UI to show the timer is running
-    const timerButton = document.querySelector('.timer-control-btn');
+    const timerButton = document.querySelector('.timer-control-btn.play');
     timerButton.innerHTML = '<i class="fa-solid fa-pause"></i>';
     
     // Start the interval timer
-    timerInterval = setInterval(tickTimer, 1000);
+    clearInterval(timerInterval);
+    timerInterval = setInterval(tickTimer, TICK_INTERVAL);
     
-    saveState({ timerState });
+    // Ticking and ambient noise only accompany focus sessions, in a single tab
+    if (isFocusMode(timerState.currentMode) && isTimerOwner()) {
+        startFocusSounds();
+    } else {
+        stopFocusSounds();
+    }
+    
+    tickTimer();
 }
 
 /**
  * Pause the timer
  */
 function pauseTimer() {
+    if (timerState.isRunning && timerState.activeSessionId) {
+        pauseSession(timerState.activeSessionId, timerState.startedAt, Date.now());
+    }
+    
+    // Freeze the remaining (or counted) time before leaving the running state
+    timerState.timeRemaining = getRemainingSeconds();
+    timerState.stopwatchElapsed = getStopwatchSeconds();
     timerState.isRunning = false;
+    timerState.startedAt = null;
+    timerState.endsAt = null;
     
     // Update the UI to show the timer is paused
-    const timerButton = document.querySelector('.timer-control-btn');
+    const timerButton = document.querySelector('.timer-control-btn.play');
     timerButton.innerHTML = '<i class="fa-solid fa-play"></i>';
     
     // Clear the interval timer
     clearInterval(timerInterval);
+    stopFocusSounds();
     
     saveState({ timerState });
 }
@@ -136,13 +385,18 @@ function pauseTimer() {
  * Reset the timer to its initial state
  */
 function resetTimer() {
+    // A session reset before it finished counts as abandoned
+    endActiveSession('abandoned');
+    
     // Stop the timer if it's running
     if (timerState.isRunning) {
         pauseTimer();
     }
     
     // Reset the timer state according to the current mode
-    timerState.timeRemaining = DEFAULT_SETTINGS[timerState.currentMode];
+    timerState.duration = getModeDuration(timerState.currentMode);
+    timerState.timeRemaining = timerState.duration;
+    timerState.stopwatchElapsed = 0;
     
     // Update the display
     updateTimerDisplay();
@@ -151,60 +405,195 @@ function resetTimer() {
 }
 
 /**
- * Process a single timer tick (1 second)
+ * Stop the current session
+ * A pomodoro stopped before it finished is abandoned and counted against its task;
+ * a stopped break returns to a fresh pomodoro.
+ */
+function stopTimer() {
+    if (timerState.currentMode === 'stopwatch') {
+        finishStopwatch();
+        return;
+    }
+    
+    const isFocusing = timerState.currentMode === 'pomodoro' && timerState.activeSessionId;
+    
+    if (isFocusing) {
+        if (!confirm('Abandon this pomodoro?')) return;
+        creditAbandonedPomodoro(timerState.currentTask);
+    }
+    
+    resetTimer();
+    
+    if (timerState.currentMode !== 'pomodoro') {
+        switchTimerMode('pomodoro');
+    }
+    
+    // Stopping ends an auto-started run
+    timerState.completedCycles = 0;
+    updateTimerDisplay();
+    
+    saveState({ timerState });
+}
+
+/**
+ * Finish the stopwatch session and credit the tracked time to its task
+ */
+function finishStopwatch() {
+    const trackedSeconds = getStopwatchSeconds();
+    
+    endActiveSession('completed');
+    creditTrackedTime(timerState.currentTask, trackedSeconds);
+    
+    resetTimer();
+}
+
+/**
+ * Add time tracked with the stopwatch to a task's actual time
+ * @param {string} taskId - The ID of the task
+ * @param {number} seconds - The tracked time in seconds
+ */
+function creditTrackedTime(taskId, seconds) {
+    const task = tasks.find(t => t.id == taskId);
+    const minutes = Math.round(seconds / 60);
+    if (!task || minutes === 0) return;
+    
+    task.actualTime = (task.actualTime || 0) + minutes;
+    
+    saveState({ tasks });
+    document.dispatchEvent(new CustomEvent('tasktimetracked', { detail: { taskId } }));
+}
+
+/**
+ * Switch between the stopwatch and the pomodoro timer
+ * The stopwatch tracks time for the selected task.
+ */
+function toggleStopwatchMode() {
+    if (timerState.activeSessionId) return;
+    
+    if (timerState.currentMode === 'stopwatch') {
+        switchTimerMode('pomodoro');
+    } else {
+        if (selectedTaskId) {
+            timerState.currentTask = selectedTaskId;
+            updateTimerTaskName();
+        }
+        switchTimerMode('stopwatch');
+    }
+    
+    saveState({ timerState });
+}
+
+/**
+ * Skip the current break and get ready for the next pomodoro
+ */
+function skipBreak() {
+    if (isFocusMode(timerState.currentMode)) return;
+    
+    endActiveSession('skipped');
+    
+    if (timerState.isRunning) {
+        pauseTimer();
+    }
+    
+    switchTimerMode('pomodoro');
+    
+    saveState({ timerState });
+}
+
+/**
+ * Count an abandoned pomodoro for a task
+ * @param {string} taskId - The ID of the task
+ */
+function creditAbandonedPomodoro(taskId) {
+    const task = tasks.find(t => t.id == taskId);
+    if (!task || !task.pomodoroQuantity) return;
+    
+    task.pomodoroQuantity.abandoned = (task.pomodoroQuantity.abandoned || 0) + 1;
+    
+    saveState({ tasks });
+    document.dispatchEvent(new CustomEvent('tasktimetracked', { detail: { taskId } }));
+}
+
+/**
+ * Show or hide the interruption form
+ */
+function toggleInterruptionForm() {
+    const form = document.querySelector('.interruption-form');
+    const isHidden = form.style.display === 'none';
+    form.style.display = isHidden ? 'flex' : 'none';
+    
+    if (isHidden) {
+        form.querySelector('[name="interruptionNote"]').focus();
+    }
+}
+
+/**
+ * Log an interruption of the current session
+ * @param {string} type - The kind of interruption ('internal' or 'external')
+ * @param {string} note - An optional note describing the interruption
+ */
+function logInterruption(type, note) {
+    if (!timerState.activeSessionId) return;
+    
+    addInterruption(timerState.activeSessionId, { type, note, at: Date.now() });
+}
+
+/**
+ * Process a timer tick, recomputing the remaining time from the clock
  */
 function tickTimer() {
+    // The stopwatch counts up and never finishes by itself
+    if (timerState.currentMode === 'stopwatch') {
+        updateTimerDisplay();
+        return;
+    }
+    
+    timerState.timeRemaining = getRemainingSeconds();
+    
     if (timerState.timeRemaining > 0) {
-        // Decrement the time remaining
-        timerState.timeRemaining--;
-        
         // Update the display
         updateTimerDisplay();
-    } else {
+    } else if (isTimerOwner() || isPastTakeoverDelay()) {
         // Timer has finished
+        timerState.ownerTabId = TAB_ID;
         completeTimer();
+    } else {
+        // Leave completing the session to the tab that owns it
+        updateTimerDisplay();
     }
 }
 
 /**
  * Handle timer completion
+ * @param {boolean} allowAutoStart - Whether the next session may start automatically
  */
-function completeTimer() {
-    // Play a notification sound
-    playTimerCompleteSound();
+function completeTimer(allowAutoStart = true) {
+    // Play the alarm
+    playAlarm();
+    
+    // Close the session log entry at the moment the session actually ended
+    endActiveSession('completed', timerState.endsAt || Date.now());
     
     // Stop the timer
     pauseTimer();
     
-    if (timerState.currentMode === 'pomodoro') {
+    const finishedMode = timerState.currentMode;
+    
+    if (finishedMode === 'pomodoro') {
         // Increment completed pomodoros
         timerState.completedPomodoros++;
+        timerState.completedCycles++;
         
-        // Update the task's pomodoro count if there is a current task
-        if (timerState.currentTask && tasks) {
-            const task = tasks.find(t => t.id == timerState.currentTask);
-            if (task && task.pomodoroQuantity) {
-                task.pomodoroQuantity.completed = (task.pomodoroQuantity.completed || 0) + 1;
-                
-                // If task exists in DOM, update it
-                const taskElement = document.querySelector(`[data-task-id="${timerState.currentTask}"]`);
-                if (taskElement) {
-                    const taskDetailsQuantity = document.querySelector('.pomodoro-quantity .quantity-info');
-                    if (taskDetailsQuantity) {
-                        taskDetailsQuantity.textContent = `${task.pomodoroQuantity.completed} / ${task.pomodoroQuantity.total}`;
-                    }
-                }
-                
-                // Save the updated tasks
-                saveState({ tasks });
-            }
+        // The task list counts the pomodoro for the current task and shows it
+        if (timerState.currentTask) {
+            document.dispatchEvent(new CustomEvent('pomodorocompleted', { detail: { taskId: timerState.currentTask } }));
         }
         
         // Show a completion notification
         showNotification('Pomodoro completed!', 'Time for a break');
         
         // Determine which break to take
-        if (timerState.completedPomodoros % DEFAULT_SETTINGS.longBreakInterval === 0) {
+        if (timerState.completedPomodoros % getSettings().longBreakInterval === 0) {
             switchTimerMode('longBreak');
         } else {
             switchTimerMode('shortBreak');
@@ -215,30 +604,47 @@ function completeTimer() {
         showNotification('Break completed!', 'Ready to focus again?');
     }
     
+    if (allowAutoStart && shouldAutoStart(finishedMode)) {
+        startTimer();
+    } else if (finishedMode !== 'pomodoro') {
+        // The run ends once a break is not followed by an automatic pomodoro
+        timerState.completedCycles = 0;
+        updateTimerDisplay();
+    }
+    
     saveState({ timerState });
 }
 
 /**
- * Show a browser notification
- * @param {string} title - The notification title
- * @param {string} body - The notification body
+ * End the session log entry of the session in progress
+ * @param {string} status - How the session ended ('completed' or 'abandoned')
+ * @param {number} end - Timestamp (ms) when the session ended
  */
-function showNotification(title, body) {
-    // Check if browser supports notifications
-    if ('Notification' in window) {
-        // Check if permission is granted
-        if (Notification.permission === 'granted') {
-            new Notification(title, { body });
-        }
-        // Otherwise, request permission
-        else if (Notification.permission !== 'denied') {
-            Notification.requestPermission().then(permission => {
-                if (permission === 'granted') {
-                    new Notification(title, { body });
-                }
-            });
-        }
+function endActiveSession(status, end = Date.now()) {
+    if (timerState.activeSessionId) {
+        const segmentStart = timerState.isRunning ? timerState.startedAt : null;
+        endSession(timerState.activeSessionId, status, end, segmentStart);
+        timerState.activeSessionId = null;
+    }
+}
+
+/**
+ * Decide whether the session following a finished one starts automatically
+ * @param {string} finishedMode - The mode of the session that just finished
+ * @returns {boolean} True if the next session should start by itself
+ */
+function shouldAutoStart(finishedMode) {
+    const settings = getSettings();
+    
+    if (finishedMode === 'pomodoro') {
+        return settings.autoStartBreaks;
     }
+    
+    // Stop chaining once the configured number of cycles has run
+    const cycleLimitReached = settings.autoStopAfterCycles > 0 &&
+        timerState.completedCycles >= settings.autoStopAfterCycles;
+    
+    return settings.autoStartPomodoros && !cycleLimitReached;
 }
 
 /**
@@ -247,7 +653,24 @@ function showNotification(title, body) {
  */
 function switchTimerMode(mode) {
     timerState.currentMode = mode;
-    timerState.timeRemaining = DEFAULT_SETTINGS[mode];
+    timerState.duration = getModeDuration(mode);
+    timerState.timeRemaining = timerState.duration;
+    timerState.stopwatchElapsed = 0;
+    
+    updateTimerDisplay();
+}
+
+/**
+ * Apply changed settings to the timer
+ * Only a session that has not been started yet picks up the new duration;
+ * a running or partly elapsed session keeps its original length.
+ */
+function applySettings() {
+    if (!timerState.isRunning && timerState.timeRemaining === timerState.duration) {
+        timerState.duration = getModeDuration(timerState.currentMode);
+        timerState.timeRemaining = timerState.duration;
+        saveState({ timerState });
+    }
     
     updateTimerDisplay();
 }
@@ -256,22 +679,133 @@ function switchTimerMode(mode) {
  * Update the timer display in the UI
  */
 function updateTimerDisplay() {
-    const minutes = Math.floor(timerState.timeRemaining / 60);
-    const seconds = timerState.timeRemaining % 60;
+    // The stopwatch shows the time counted so far instead of the time left
+    const displaySeconds = timerState.currentMode === 'stopwatch' ? getStopwatchSeconds() : timerState.timeRemaining;
+    const minutes = Math.floor(displaySeconds / 60);
+    const seconds = displaySeconds % 60;
     
     // Format the time as MM:SS
     const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     
     // Update the UI
     document.querySelector('.timer-display').textContent = timeString;
+    updateCycleDisplay();
+    updateTimerControls();
+    updateTabIndicator(timeString, displaySeconds);
 }
 
 /**
- * Play a sound when the timer completes
+ * Mirror the session in progress in the document title and favicon
+ * @param {string} timeString - The formatted time shown by the timer
+ * @param {number} displaySeconds - The seconds shown by the timer
  */
-function playTimerCompleteSound() {
-    // This would play a sound in a real implementation
-    console.log('Timer complete sound played');
+function updateTabIndicator(timeString, displaySeconds) {
+    if (!timerState.activeSessionId) {
+        hideTabIndicator();
+        return;
+    }
+    
+    // Breaks are labelled by mode, focus sessions by their task
+    const task = tasks.find(t => t.id == timerState.currentTask);
+    const label = isFocusMode(timerState.currentMode) && task ? task.name : MODE_LABELS[timerState.currentMode];
+    
+    // The open-ended stopwatch goes around the ring once an hour
+    const progress = timerState.currentMode === 'stopwatch'
+        ? (displaySeconds % 3600) / 3600
+        : 1 - timerState.timeRemaining / timerState.duration;
+    
+    showTabIndicator({
+        timeString,
+        label,
+        mode: timerState.currentMode,
+        progress,
+        isRunning: timerState.isRunning,
+    });
+}
+
+/**
+ * Enable only the timer controls that apply to the current session
+ */
+function updateTimerControls() {
+    const hasSession = Boolean(timerState.activeSessionId);
+    const isFocusing = isFocusMode(timerState.currentMode);
+    
+    // Strict mode can forbid pausing a running pomodoro altogether
+    document.querySelector('.timer-control-btn.play').disabled =
+        isStrictLockActive() && getSettings().strictPause === 'block';
+    document.querySelector('.timer-control-btn.stop').disabled = !hasSession && isFocusing;
+    document.querySelector('.timer-control-btn.skip').disabled = isFocusing;
+    document.querySelector('.timer-control-btn.interrupt').disabled = !hasSession;
+    
+    // The mode can only be changed between sessions
+    const modeButton = document.querySelector('.timer-mode-btn');
+    modeButton.disabled = hasSession;
+    modeButton.setAttribute('aria-pressed', timerState.currentMode === 'stopwatch' ? 'true' : 'false');
+    
+    if (!hasSession) {
+        document.querySelector('.interruption-form').style.display = 'none';
+    }
+    
+    updateStrictLock();
+}
+
+/**
+ * Check whether strict mode locks the app to the running pomodoro
+ * @returns {boolean} True while a pomodoro runs with strict mode on
+ */
+function isStrictLockActive() {
+    return getSettings().strictMode && timerState.isRunning && timerState.currentMode === 'pomodoro';
+}
+
+/**
+ * Let other modules know when the strict mode lock starts or ends
+ */
+function updateStrictLock() {
+    const locked = isStrictLockActive();
+    if (locked === strictLockActive) return;
+    
+    strictLockActive = locked;
+    document.dispatchEvent(new CustomEvent('strictlockchange', {
+        detail: { locked, taskId: timerState.currentTask },
+    }));
+}
+
+/**
+ * Show the position in the pomodoro cycle (e.g. "3/4 before long break")
+ */
+function updateCycleDisplay() {
+    const settings = getSettings();
+    const interval = settings.longBreakInterval;
+    const cycleElement = document.querySelector('.timer-cycle');
+    
+    let cycleText;
+    if (timerState.currentMode === 'stopwatch') {
+        cycleText = 'Stopwatch';
+    } else if (timerState.currentMode === 'longBreak') {
+        cycleText = 'Long break';
+    } else {
+        // During a pomodoro count it as in progress; during a short break it is already done
+        const completedInSet = timerState.completedPomodoros % interval;
+        const position = timerState.currentMode === 'pomodoro' ? completedInSet + 1 : completedInSet || interval;
+        cycleText = `${position}/${interval} before long break`;
+    }
+    
+    // Show progress through a limited auto-started run
+    if (settings.autoStopAfterCycles > 0 && timerState.completedCycles > 0) {
+        cycleText += ` • cycle ${timerState.completedCycles}/${settings.autoStopAfterCycles}`;
+    }
+    
+    cycleElement.textContent = cycleText;
+}
+
+/**
+ * Show the name of the timer's current task in the timer modal
+ */
+function updateTimerTaskName() {
+    const task = tasks.find(t => t.id == timerState.currentTask);
+    if (task) {
+        document.querySelector('.pomodoro-timer h3').textContent = task.name;
+    }
 }
 
 /**
@@ -292,23 +826,40 @@ function startPomodoro(taskId) {
     const task = tasks.find(t => t.id == taskId);
     if (!task) return;
     
+    // Working on a task that waits for others has to be on purpose
+    const blockers = task.completed ? [] : getOpenBlockers(task, tasks);
+    if (blockers.length > 0 &&
+        !confirm(`"${task.name}" is waiting for ${blockers.map(b => `"${b.name}"`).join(', ')}. Start a pomodoro anyway?`)) {
+        return;
+    }
+    
+    // Replacing a session in progress ends it the way stopping it would
+    if (timerState.currentMode === 'stopwatch' && timerState.activeSessionId) {
+        finishStopwatch();
+    } else if (timerState.currentMode === 'pomodoro' && timerState.activeSessionId) {
+        if (!confirm('Abandon the pomodoro in progress to start a new one?')) return;
+        creditAbandonedPomodoro(timerState.currentTask);
+    }
+    endActiveSession('abandoned');
+    
     // Set the current task
     timerState.currentTask = taskId;
     selectedTaskId = taskId;
     
     // Set the timer mode to pomodoro
     timerState.currentMode = 'pomodoro';
-    timerState.timeRemaining = DEFAULT_SETTINGS.pomodoro;
+    timerState.duration = getDurationSeconds('pomodoro');
+    timerState.timeRemaining = timerState.duration;
     
     // Update the timer display
-    document.querySelector('.timer-display').textContent = '25:00';
+    updateTimerDisplay();
     document.querySelector('.pomodoro-timer h3').textContent = task.name;
     
     // Show the timer modal
     document.querySelector('.pomodoro-modal').style.display = 'block';
     
     // Reset the timer button to play
-    const timerButton = document.querySelector('.timer-control-btn');
+    const timerButton = document.querySelector('.timer-control-btn.play');
     timerButton.innerHTML = '<i class="fa-solid fa-play"></i>';
     
     // Start the timer
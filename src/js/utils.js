@@ -0,0 +1,50 @@
+/**
+ * Utilities Module
+ * Small helpers shared by the UI modules
+ */
+
+/**
+ * Escape text for use in HTML, including quoted attribute values
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check whether a value is a color as stored for projects and tags
+ * @param {*} value - The value
+ * @returns {boolean} True if it is a six-digit hex color (e.g. "#4d8eff")
+ */
+export function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Show a browser notification
+ * @param {string} title - The notification title
+ * @param {string} body - The notification body
+ */
+export function showNotification(title, body) {
+    // Check if browser supports notifications
+    if ('Notification' in window) {
+        // Check if permission is granted
+        if (Notification.permission === 'granted') {
+            new Notification(title, { body });
+        }
+        // Otherwise, request permission
+        else if (Notification.permission !== 'denied') {
+            Notification.requestPermission().then(permission => {
+                if (permission === 'granted') {
+                    new Notification(title, { body });
+                }
+            });
+        }
+    }
+}
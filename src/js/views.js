@@ -0,0 +1,183 @@
+/**
+ * View Module
+ * Groups and sorts the task list, and remembers the view chosen for each list
+ *
+ * Views are stored by list key: the name of a smart list or project, "#key" for a tag,
+ * or "Search" while searching.
+ */
+
+import { saveState, getState, onExternalStateChange } from './storage.js';
+import { getTags } from './tags.js';
+
+// Ways to group the task list
+export const GROUP_MODES = ['project', 'dueDate', 'priority', 'tag', 'none'];
+
+// Ways to sort the tasks within a group
+export const SORT_MODES = ['manual', 'dueDate', 'priority', 'estimate', 'created'];
+
+// View of lists that were never changed, the original layout
+const DEFAULT_VIEW = { groupBy: 'project', sortBy: 'manual' };
+
+// Lists that start out with a view of their own
+const LIST_DEFAULT_VIEWS = {
+    Planned: { groupBy: 'dueDate', sortBy: 'dueDate' },
+};
+
+// Views chosen per list key
+let viewModes = {};
+
+/**
+ * Initialize the view module
+ */
+export function initViews() {
+    viewModes = getState().viewModes || {};
+    
+    // Use views chosen in other tabs from the next render on
+    onExternalStateChange((changedKeys, newState) => {
+        if (changedKeys.includes('viewModes')) {
+            viewModes = newState.viewModes || {};
+        }
+    });
+}
+
+/**
+ * Get the view of a list
+ * @param {string} listKey - The list key
+ * @returns {Object} The view (groupBy, sortBy)
+ */
+export function getViewMode(listKey) {
+    return { ...DEFAULT_VIEW, ...LIST_DEFAULT_VIEWS[listKey], ...viewModes[listKey] };
+}
+
+/**
+ * Change the view of a list
+ * @param {string} listKey - The list key
+ * @param {Object} fields - The fields to change (groupBy, sortBy)
+ */
+export function setViewMode(listKey, fields) {
+    const view = { ...getViewMode(listKey), ...fields };
+    if (!GROUP_MODES.includes(view.groupBy) || !SORT_MODES.includes(view.sortBy)) return;
+    
+    viewModes = { ...viewModes, [listKey]: view };
+    saveState({ viewModes });
+}
+
+/**
+ * Keep the view of a list whose key changed, e.g. a renamed project
+ * @param {string} fromKey - The old list key
+ * @param {string} toKey - The new list key
+ */
+export function renameViewMode(fromKey, toKey) {
+    if (!viewModes[fromKey]) return;
+    
+    const { [fromKey]: view, ...otherViews } = viewModes;
+    viewModes = { ...otherViews, [toKey]: view };
+    saveState({ viewModes });
+}
+
+/**
+ * Sort tasks, keeping the manual order between equal tasks
+ * @param {Array} tasksToSort - The tasks in manual order
+ * @param {string} sortBy - The sort mode
+ * @returns {Array} The sorted tasks
+ */
+export function sortTasks(tasksToSort, sortBy) {
+    const compare = {
+        // Earliest first, tasks without a due date last
+        dueDate: (a, b) => getDueKey(a).localeCompare(getDueKey(b)),
+        // Most important first
+        priority: (a, b) => (b.priority || 0) - (a.priority || 0),
+        // Shortest first
+        estimate: (a, b) => (a.estimatedTime || 0) - (b.estimatedTime || 0),
+        // Newest first
+        created: (a, b) => getCreatedTime(b) - getCreatedTime(a),
+    }[sortBy];
+    
+    return compare ? [...tasksToSort].sort(compare) : [...tasksToSort];
+}
+
+/**
+ * Split tasks into groups
+ * A task with several tags is in the group of each tag.
+ * @param {Array} tasksToGroup - The sorted tasks
+ * @param {string} groupBy - The group mode
+ * @returns {Array} The groups in display order, each with a key (null for "none") and its tasks
+ */
+export function groupTasks(tasksToGroup, groupBy) {
+    const groups = new Map();
+    const addToGroup = (key, task) => {
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(task);
+    };
+    
+    tasksToGroup.forEach(task => {
+        switch (groupBy) {
+            case 'project':
+                addToGroup(task.project || 'Uncategorized', task);
+                break;
+            case 'dueDate':
+                addToGroup(task.dueDate || null, task);
+                break;
+            case 'priority':
+                addToGroup(task.priority || 0, task);
+                break;
+            case 'tag':
+                if ((task.tags || []).length === 0) {
+                    addToGroup(null, task);
+                }
+                (task.tags || []).forEach(tag => addToGroup(tag, task));
+                break;
+            default:
+                addToGroup(null, task);
+        }
+    });
+    
+    return sortGroupKeys([...groups.keys()], groupBy).map(key => ({ key, tasks: groups.get(key) }));
+}
+
+/**
+ * Put group keys in display order
+ * @param {Array} keys - The group keys, in order of first appearance
+ * @param {string} groupBy - The group mode
+ * @returns {Array} The sorted keys
+ */
+function sortGroupKeys(keys, groupBy) {
+    // The "none" group always comes last
+    const noneLast = (a, b) => (a === null) - (b === null);
+    
+    switch (groupBy) {
+        case 'dueDate':
+            return [...keys].sort((a, b) => noneLast(a, b) || (a !== null && b !== null ? a.localeCompare(b) : 0));
+        case 'priority':
+            return [...keys].sort((a, b) => b - a);
+        case 'tag': {
+            const tagOrder = getTags().map(tag => tag.key);
+            const position = key => (tagOrder.includes(key) ? tagOrder.indexOf(key) : tagOrder.length);
+            return [...keys].sort((a, b) => noneLast(a, b) || position(a) - position(b));
+        }
+        default:
+            // Projects keep the order in which they first appear
+            return keys;
+    }
+}
+
+/**
+ * Get a key that sorts tasks by due date and time
+ * @param {Object} task - The task
+ * @returns {string} The key, sorting tasks without a due date last
+ */
+function getDueKey(task) {
+    return task.dueDate ? `${task.dueDate} ${task.dueTime || '99:99'}` : '~';
+}
+
+/**
+ * Get when a task was created
+ * Tasks created before createdAt was recorded use their ID, which was the creation timestamp.
+ * @param {Object} task - The task
+ * @returns {number} The creation time in milliseconds
+ */
+function getCreatedTime(task) {
+    return task.createdAt || Number(task.id) || 0;
+}